@@ -0,0 +1,13 @@
+@echo off
+echo EpicHEX Bitmap Import v1.1
+echo.
+echo Drag and drop a PNG, BMP, PPM or PGM file onto this file to convert it!
+echo.
+
+if "%~1"=="" (
+    node source/import.js
+) else (
+    node source/import.js "%~1"
+)
+
+pause
\ No newline at end of file
@@ -0,0 +1,140 @@
+// bench.js - Compare file size and encode/decode speed of the EHEX encodings
+const path = require('path');
+const { EHEXImage, ENCODINGS } = require('./image.js');
+const { loadSync } = require('./files.js');
+
+const USAGE = `Usage: node source/bench.js [file.ehex...]
+
+Without files a set of generated images is measured: mostly blank drawings,
+random noise (the worst case for run-length rows) and a colored animation.`;
+
+const MIN_TIME = 200; // ms spent on each measurement, so small images are timed over many runs
+
+// Small seeded generator so every run measures the same images
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        return seed / 0x80000000;
+    };
+}
+
+// A few outlined boxes on an empty canvas, like the drawings the editor produces
+function sketch(width, height, boxes) {
+    const image = new EHEXImage(width, height);
+    const next = random(width * height);
+    for (let i = 0; i < boxes; i++) {
+        const w = 4 + Math.floor(next() * width / 4);
+        const h = 3 + Math.floor(next() * height / 4);
+        const x = Math.floor(next() * (width - w));
+        const y = Math.floor(next() * (height - h));
+        const char = 1 + Math.floor(next() * 15);
+        for (let dx = 0; dx < w; dx++) {
+            image.setPixel(x + dx, y, char);
+            image.setPixel(x + dx, y + h - 1, char);
+        }
+        for (let dy = 0; dy < h; dy++) {
+            image.setPixel(x, y + dy, char);
+            image.setPixel(x + w - 1, y + dy, char);
+        }
+    }
+    return image;
+}
+
+function noise(width, height) {
+    const image = new EHEXImage(width, height);
+    const next = random(7);
+    image.pixels.forEach(row => row.forEach((_, x) => { row[x] = Math.floor(next() * 16); }));
+    return image;
+}
+
+function animation(width, height, frames) {
+    const image = sketch(width, height, 6);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (image.getPixel(x, y) !== 0) {
+                image.setColor(x, y, 16 + (x + y) % 216, -1);
+            }
+        }
+    }
+    for (let i = 1; i < frames; i++) {
+        image.duplicateFrame();
+        image.setPixel(i, i, 15);
+        image.setColor(i, i, 196, 21);
+    }
+    return image;
+}
+
+function generatedImages() {
+    return [
+        { name: 'sketch 80x40', image: sketch(80, 40, 4) },
+        { name: 'sketch 400x200', image: sketch(400, 200, 12) },
+        { name: 'noise 120x60', image: noise(120, 60) },
+        { name: 'animation 80x40 x8 (v3)', image: animation(80, 40, 8) }
+    ];
+}
+
+// Average time of one call in ms
+function time(action) {
+    const start = process.hrtime.bigint();
+    let runs = 0;
+    let elapsed = 0;
+    do {
+        action();
+        runs++;
+        elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    } while (elapsed < MIN_TIME);
+    return elapsed / runs;
+}
+
+function measure(image) {
+    const version = image.formatVersion();
+    const results = ENCODINGS.map(encoding => {
+        const data = image.encode(version, encoding);
+        const bytes = Buffer.byteLength(data);
+        return {
+            encoding,
+            bytes,
+            encodeMs: time(() => image.encode(version, encoding)),
+            decodeMs: time(() => new EHEXImage().decode(data))
+        };
+    });
+    const textBytes = results[0].bytes;
+    results.forEach(result => { result.ratio = result.bytes / textBytes; });
+    return results;
+}
+
+function formatRow(columns, widths) {
+    return columns.map((column, index) => index === 0 ? String(column).padEnd(widths[index]) : String(column).padStart(widths[index])).join('  ');
+}
+
+// Main execution
+if (require.main === module) {
+    try {
+        const files = process.argv.slice(2);
+        if (files.includes('--help')) {
+            console.log(USAGE);
+            process.exit(0);
+        }
+        const cases = files.length > 0 ? files.map(file => ({ name: path.basename(file), image: loadSync(file) })) : generatedImages();
+
+        const widths = [26, 10, 10, 8, 12, 12];
+        console.log(formatRow(['Image', 'Encoding', 'Bytes', 'Size', 'Encode ms', 'Decode ms'], widths));
+        for (const { name, image } of cases) {
+            for (const result of measure(image)) {
+                console.log(formatRow([
+                    result.encoding === 'text' ? name : '',
+                    result.encoding,
+                    result.bytes,
+                    `${(result.ratio * 100).toFixed(1)}%`,
+                    result.encodeMs.toFixed(3),
+                    result.decodeMs.toFixed(3)
+                ], widths));
+            }
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { measure };
@@ -0,0 +1,21 @@
+// crc32.js - CRC-32 as used by PNG and the EHEX binary container
+// Plain typed arrays only, so the format module can use it outside Node as well.
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buffer, start = 0, end = buffer.length) {
+    let crc = 0xFFFFFFFF;
+    for (let i = start; i < end; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = { crc32 };
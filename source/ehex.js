@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+// ehex.js - Headless command-line tool for scripts and CI; never loads blessed
+// Exit codes: 0 success, 1 check failed (invalid file, images differ), 2 usage or I/O error
+const fs = require('fs');
+const path = require('path');
+const { EHEXImage, MAX_SIZE, ANCHORS, ENCODINGS } = require('./image.js');
+const { loadSync, saveSync } = require('./files.js');
+const { EXPORTERS, formatForFile } = require('./exporters.js');
+
+const BITMAP_EXTENSIONS = ['.png', '.bmp', '.pbm', '.pgm', '.ppm', '.pnm'];
+const FLAGS = ['json', 'plain', 'ansi', 'help', 'invert', 'lenient', 'recursive', 'dry-run'];
+
+const USAGE = `Usage: ehex <command> [arguments] [--json]
+
+Commands:
+  info <file>                       Size, format version, frames, layers, charset and metadata
+  validate <file...>                Check that files parse; exit code 1 if any does not
+  cat <file> [--frame N]            Print the image (ANSI colors on a terminal,
+             [--plain | --ansi]     --plain or --ansi to choose)
+  convert <input> <output>          Between EHEX versions, encodings, bitmaps and export formats
+          [--version 2|3] [--encoding E] [--format F] [--width N] [--height N] [--dither D] [--invert]
+  resize <input> <output> [--width N] [--height N]
+         [--anchor A | --scale nearest|average] [--encoding E]
+  new <output> [--width N] [--height N] [--frames N] [--fill HEX] [--encoding E]
+  diff <a> <b> [--limit N]          Compare two images; exit code 1 if they differ
+  migrate <file|dir...>             Upgrade EHEX v1 files to v2, keeping a .bak copy
+          [--out DIR] [--recursive] [--dry-run]
+
+--json prints machine-readable results to stdout.
+--lenient repairs damaged files instead of failing, with warnings on stderr.
+Anchors: ${ANCHORS.join(', ')}
+Encodings: ${ENCODINGS.join(', ')} (default: the input's, text for new images)`;
+
+function parseArgs(args) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const name = arg.substring(2);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < args.length) {
+            options[name] = args[++i];
+        } else {
+            throw new Error(`${arg} needs a value`);
+        }
+    }
+    return { positional, options };
+}
+
+function positiveInt(options, name, fallback) {
+    if (options[name] === undefined) return fallback;
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`--${name} must be a positive whole number`);
+    }
+    return value;
+}
+
+function requireArgs(positional, count, usage) {
+    if (positional.length !== count) {
+        throw new Error(`Usage: ehex ${usage}`);
+    }
+}
+
+// undefined keeps the encoding the image was loaded with
+function encodingOption(options) {
+    if (options.encoding !== undefined && !ENCODINGS.includes(options.encoding)) {
+        throw new Error(`--encoding must be one of ${ENCODINGS.join(', ')}`);
+    }
+    return options.encoding;
+}
+
+// file:line:column for text files, file:@offset for the binary container
+function location(filename, diagnostic) {
+    if (diagnostic.offset !== undefined) return `${filename}:@${diagnostic.offset}`;
+    return diagnostic.line ? `${filename}:${diagnostic.line}:${diagnostic.column}` : filename;
+}
+
+function isBitmap(filename) {
+    return BITMAP_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+// Files are parsed strictly unless --lenient is given
+function loadImage(filename, options = {}) {
+    const image = loadSync(filename, { lenient: options.lenient });
+    for (const warning of image.warnings) {
+        console.error(`${location(filename, warning)}: warning: ${warning.message}`);
+    }
+    return image;
+}
+
+function describe(image, filename) {
+    return {
+        file: filename,
+        version: image.formatVersion(),
+        encoding: image.encoding,
+        upgradedFrom: image.upgradedFrom,
+        width: image.width,
+        height: image.height,
+        frames: image.frames.length,
+        delays: image.frames.map(frame => frame.delay),
+        layers: image.layers.map(layer => ({ name: layer.name, visible: layer.visible, locked: layer.locked })),
+        transparent: image.transparent,
+        charset: image.chars.join(''),
+        defaultCharset: image.isDefaultCharset(),
+        metadata: Object.assign({}, image.metadata)
+    };
+}
+
+// .ehex files named directly or found in the given directories
+function collectFiles(paths, recursive) {
+    const files = [];
+    const walk = (directory) => {
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+            const full = path.join(directory, entry.name);
+            if (entry.isDirectory() && recursive) {
+                walk(full);
+            } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.ehex')) {
+                files.push(full);
+            }
+        }
+    };
+    for (const item of paths) {
+        if (fs.statSync(item).isDirectory()) {
+            walk(item);
+        } else {
+            files.push(item);
+        }
+    }
+    return files;
+}
+
+const COMMANDS = {
+    info(positional, options) {
+        requireArgs(positional, 1, 'info <file>');
+        const info = describe(loadImage(positional[0], options), positional[0]);
+        const lines = [
+            `File:        ${info.file}`,
+            `Format:      EHEX v${info.version}, ${info.encoding} encoding` +
+                (info.upgradedFrom ? ` (read from legacy v${info.upgradedFrom})` : ''),
+            `Size:        ${info.width}x${info.height}`,
+            `Frames:      ${info.frames}` + (info.frames > 1 ? ` (delays ${info.delays.join(', ')} ms)` : ''),
+            `Layers:      ${info.layers.map(layer => layer.name + (layer.visible ? '' : ' (hidden)')).join(', ')}`,
+            `Charset:     ${info.charset}` + (info.defaultCharset ? ' (default)' : '')
+        ];
+        for (const [key, value] of Object.entries(info.metadata)) {
+            lines.push(`${(key[0].toUpperCase() + key.substring(1) + ':').padEnd(12)} ${value.replace(/\n/g, '\n             ')}`);
+        }
+        return { result: info, text: lines.join('\n') };
+    },
+
+    // Every problem is listed as file:line:column, like a compiler would.
+    // With --lenient, files that only have repairable problems count as valid.
+    validate(positional, options) {
+        if (positional.length === 0) {
+            throw new Error('Usage: ehex validate <file...> [--lenient]');
+        }
+        const files = positional.map(file => {
+            try {
+                const image = loadSync(file, { lenient: options.lenient });
+                return { file, valid: true, legacy: image.upgradedFrom !== null, errors: [], warnings: image.warnings };
+            } catch (error) {
+                const errors = error.diagnostics || [{ line: 0, column: 0, message: error.message }];
+                return { file, valid: false, errors, warnings: [] };
+            }
+        });
+        const valid = files.every(file => file.valid);
+
+        const lines = [];
+        for (const file of files) {
+            for (const error of file.errors) {
+                lines.push(`${location(file.file, error)}: error: ${error.message}`);
+            }
+            for (const warning of file.warnings) {
+                lines.push(`${location(file.file, warning)}: warning: ${warning.message}`);
+            }
+            if (file.valid && file.warnings.length === 0) {
+                lines.push(`${file.file}: ok` + (file.legacy ? ' (legacy v1, see ehex migrate)' : ''));
+            }
+        }
+        return { result: { valid, files }, text: lines.join('\n'), exitCode: valid ? 0 : 1 };
+    },
+
+    cat(positional, options) {
+        requireArgs(positional, 1, 'cat <file> [--frame N] [--plain | --ansi]');
+        const image = loadImage(positional[0], options);
+        const frame = positiveInt(options, 'frame', 1) - 1;
+        if (frame >= image.frames.length) {
+            throw new Error(`${positional[0]} has only ${image.frames.length} frame(s)`);
+        }
+        const ansi = options.ansi || (!options.plain && process.stdout.isTTY && image.usesColor());
+        const text = EXPORTERS[ansi ? 'ansi' : 'text'].render(image, { frame });
+        return { result: { file: positional[0], frame: frame + 1, text }, raw: text };
+    },
+
+    convert(positional, options) {
+        requireArgs(positional, 2, 'convert <input> <output> [options]');
+        const [input, output] = positional;
+        let image;
+        if (isBitmap(input)) {
+            image = new EHEXImage();
+            image.importRaster(fs.readFileSync(input), {
+                width: positiveInt(options, 'width'),
+                height: positiveInt(options, 'height'),
+                dither: options.dither,
+                invert: options.invert
+            });
+        } else {
+            image = loadSync(input, { lenient: options.lenient });
+        }
+
+        const format = options.format || (path.extname(output).toLowerCase() === '.ehex' ? 'ehex' : formatForFile(output));
+        if (format === 'ehex') {
+            const version = options.version === undefined ? image.formatVersion() : Number(options.version);
+            if (version !== 2 && version !== 3) {
+                throw new Error('--version must be 2 or 3');
+            }
+            const droppedColors = version === 2 && image.usesColor();
+            image.encoding = encodingOption(options) || image.encoding;
+            saveSync(image, output, { version });
+            const result = { input, output, format, version, encoding: image.encoding, droppedColors };
+            return {
+                result,
+                text: `Converted ${input} -> ${output} (EHEX v${version}, ${image.encoding})` +
+                    (droppedColors ? '\nWarning: colors were dropped, EHEX v2 has none' : '')
+            };
+        }
+        if (!EXPORTERS[format]) {
+            throw new Error(`Cannot tell the output format of ${output}, use --format ` +
+                `(ehex, ${Object.keys(EXPORTERS).join(', ')})`);
+        }
+        fs.writeFileSync(output, EXPORTERS[format].render(image, { title: path.parse(input).name }));
+        return { result: { input, output, format }, text: `Converted ${input} -> ${output} (${EXPORTERS[format].label})` };
+    },
+
+    resize(positional, options) {
+        requireArgs(positional, 2, 'resize <input> <output> [--width N] [--height N] [--anchor A | --scale M]');
+        const [input, output] = positional;
+        const image = loadImage(input, options);
+        const width = positiveInt(options, 'width', image.width);
+        const height = positiveInt(options, 'height', image.height);
+        if (width > MAX_SIZE || height > MAX_SIZE) {
+            throw new Error(`Width and height must be at most ${MAX_SIZE}`);
+        }
+        if (options.scale && options.anchor) {
+            throw new Error('Use either --anchor or --scale, not both');
+        }
+        const from = `${image.width}x${image.height}`;
+        if (options.scale) {
+            image.scale(width, height, options.scale);
+        } else {
+            image.resize(width, height, options.anchor);
+        }
+        saveSync(image, output, { encoding: encodingOption(options) });
+        return {
+            result: { input, output, from, to: `${width}x${height}`, mode: options.scale || 'resize' },
+            text: `Resized ${input} (${from}) -> ${output} (${width}x${height})`
+        };
+    },
+
+    new(positional, options) {
+        requireArgs(positional, 1, 'new <output> [--width N] [--height N] [--frames N] [--fill HEX]');
+        const width = positiveInt(options, 'width', 20);
+        const height = positiveInt(options, 'height', 10);
+        if (width > MAX_SIZE || height > MAX_SIZE) {
+            throw new Error(`Width and height must be at most ${MAX_SIZE}`);
+        }
+        if (options.fill !== undefined && !/^[0-9a-fA-F]$/.test(options.fill)) {
+            throw new Error('--fill must be one hex digit (0-F)');
+        }
+
+        const image = new EHEXImage(width, height);
+        if (options.fill !== undefined) {
+            image.pixels.forEach(row => row.fill(parseInt(options.fill, 16)));
+        }
+        const frames = positiveInt(options, 'frames', 1);
+        for (let i = 1; i < frames; i++) {
+            image.duplicateFrame();
+        }
+        image.touch();
+        image.encoding = encodingOption(options) || image.encoding;
+        saveSync(image, positional[0]);
+        return {
+            result: { output: positional[0], width, height, frames, encoding: image.encoding },
+            text: `Created ${positional[0]} (${width}x${height}, ${frames} frame(s))`
+        };
+    },
+
+    diff(positional, options) {
+        requireArgs(positional, 2, 'diff <a> <b> [--limit N]');
+        const [fileA, fileB] = positional;
+        const a = loadImage(fileA, options);
+        const b = loadImage(fileB, options);
+        const limit = positiveInt(options, 'limit', 20);
+        const differences = [];
+        const cells = [];
+        let changedCells = 0;
+
+        if (a.width !== b.width || a.height !== b.height) {
+            differences.push(`size ${a.width}x${a.height} vs ${b.width}x${b.height}`);
+        }
+        if (a.chars.join('') !== b.chars.join('')) {
+            differences.push(`charset "${a.chars.join('')}" vs "${b.chars.join('')}"`);
+        }
+        if (a.frames.length !== b.frames.length) {
+            differences.push(`${a.frames.length} vs ${b.frames.length} frame(s)`);
+        }
+        if (a.layers.length !== b.layers.length) {
+            differences.push(`${a.layers.length} vs ${b.layers.length} layer(s)`);
+        }
+        a.frames.forEach((frame, index) => {
+            if (b.frames[index] && frame.delay !== b.frames[index].delay) {
+                differences.push(`frame ${index + 1} delay ${frame.delay} vs ${b.frames[index].delay} ms`);
+            }
+        });
+
+        // Cell by cell over the overlapping frames, layers and area
+        const width = Math.min(a.width, b.width);
+        const height = Math.min(a.height, b.height);
+        const frames = Math.min(a.frames.length, b.frames.length);
+        const layers = Math.min(a.layers.length, b.layers.length);
+        for (let frame = 0; frame < frames; frame++) {
+            for (let layer = 0; layer < layers; layer++) {
+                const celA = a.frames[frame].cels[layer];
+                const celB = b.frames[frame].cels[layer];
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const before = { char: celA.pixels[y][x], fg: celA.fg[y][x], bg: celA.bg[y][x] };
+                        const after = { char: celB.pixels[y][x], fg: celB.fg[y][x], bg: celB.bg[y][x] };
+                        if (before.char === after.char && before.fg === after.fg && before.bg === after.bg) continue;
+                        changedCells++;
+                        if (cells.length < limit) {
+                            cells.push({ frame: frame + 1, layer: layer + 1, x, y, a: before, b: after });
+                        }
+                    }
+                }
+            }
+        }
+        if (changedCells > 0) {
+            differences.push(`${changedCells} cell(s) differ`);
+        }
+
+        const identical = differences.length === 0;
+        const format = cell => `${cell.char.toString(16)} fg ${cell.fg} bg ${cell.bg}`;
+        const lines = identical ? [`${fileA} and ${fileB} are identical`] : differences.slice();
+        for (const cell of cells) {
+            lines.push(`  frame ${cell.frame} layer ${cell.layer} (${cell.x},${cell.y}): ${format(cell.a)} -> ${format(cell.b)}`);
+        }
+        if (changedCells > cells.length) {
+            lines.push(`  ... and ${changedCells - cells.length} more`);
+        }
+        return {
+            result: { identical, differences, changedCells, cells },
+            text: lines.join('\n'),
+            exitCode: identical ? 0 : 1
+        };
+    },
+
+    migrate(positional, options) {
+        if (positional.length === 0) {
+            throw new Error('Usage: ehex migrate <file|dir...> [--out DIR] [--recursive] [--dry-run]');
+        }
+        if (options.out && !options['dry-run']) {
+            fs.mkdirSync(options.out, { recursive: true });
+        }
+
+        const files = collectFiles(positional, options.recursive).map(file => {
+            try {
+                const image = loadSync(file, { lenient: options.lenient });
+                if (image.upgradedFrom === null) {
+                    return { file, status: 'current' };
+                }
+                // In place keeps the original next to it; --out leaves the originals alone
+                const output = options.out ? path.join(options.out, path.basename(file)) : file;
+                if (!options['dry-run']) {
+                    if (!options.out) {
+                        fs.copyFileSync(file, `${file}.bak`);
+                    }
+                    saveSync(image, output);
+                }
+                return { file, status: 'migrated', output, size: `${image.width}x${image.height}` };
+            } catch (error) {
+                return { file, status: 'failed', error: error.message };
+            }
+        });
+
+        const failed = files.filter(file => file.status === 'failed').length;
+        const migrated = files.filter(file => file.status === 'migrated').length;
+        const lines = files.map(file => {
+            if (file.status === 'failed') return `${file.file}: failed: ${file.error}`;
+            if (file.status === 'current') return `${file.file}: already v2 or later`;
+            return `${file.file}: ${options['dry-run'] ? 'would migrate' : 'migrated'} -> ${file.output} (${file.size})`;
+        });
+        lines.push(`${migrated} migrated, ${files.length - migrated - failed} already current, ${failed} failed`);
+        return {
+            result: { dryRun: Boolean(options['dry-run']), migrated, failed, files },
+            text: lines.join('\n'),
+            exitCode: failed > 0 ? 1 : 0
+        };
+    }
+};
+
+function main(argv) {
+    let options = {};
+    try {
+        const parsed = parseArgs(argv);
+        options = parsed.options;
+        const [command, ...positional] = parsed.positional;
+        if (!command || options.help) {
+            console.log(USAGE);
+            return options.help ? 0 : 2;
+        }
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+            throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+        }
+
+        const outcome = COMMANDS[command](positional, options);
+        if (options.json) {
+            console.log(JSON.stringify(outcome.result, null, 2));
+        } else if (outcome.raw !== undefined) {
+            process.stdout.write(outcome.raw);
+        } else {
+            console.log(outcome.text);
+        }
+        return outcome.exitCode || 0;
+    } catch (error) {
+        if (options.json) {
+            console.log(JSON.stringify({ error: error.message }, null, 2));
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        return 2;
+    }
+}
+
+// Main execution
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, COMMANDS };
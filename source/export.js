@@ -0,0 +1,81 @@
+// export.js - Convert EHEX images to text, ANSI, HTML, SVG or PNG from the command line
+const path = require('path');
+const { loadSync } = require('./files.js');
+const { EXPORTERS, formatForFile, exportImage } = require('./exporters.js');
+
+const USAGE = `Usage: node source/export.js <input.ehex> [output] [options]
+
+The format follows the output extension (${Object.values(EXPORTERS).map(exporter => exporter.extension).join(', ')}).
+Use - as output to print text formats.
+
+Options:
+  --format F    ${Object.keys(EXPORTERS).join(', ')}
+  --frame N     Frame to export, starting at 1 (default: 1)
+  --scale N     Pixel size of the PNG font (default: 1)`;
+
+function parseArgs(args) {
+    const options = {};
+    const files = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format') {
+            options.format = args[++i];
+        } else if (arg === '--frame' || arg === '--scale') {
+            const value = parseInt(args[++i]);
+            if (!(value > 0)) {
+                throw new Error(`${arg} needs a positive number`);
+            }
+            options[arg.substring(2)] = value;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            files.push(arg);
+        }
+    }
+    return { files, options };
+}
+
+// Main execution
+if (require.main === module) {
+    try {
+        const { files, options } = parseArgs(process.argv.slice(2));
+        if (files.length === 0 || files.length > 2) {
+            console.log(USAGE);
+            process.exit(files.length === 0 ? 0 : 1);
+        }
+
+        const input = files[0];
+        let output = files[1];
+        const format = options.format || (output && output !== '-' ? formatForFile(output) : null);
+        if (!format) {
+            throw new Error('Cannot tell the format, use --format or an output file extension');
+        }
+        if (!EXPORTERS[format]) {
+            throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORTERS).join(', ')})`);
+        }
+
+        const image = loadSync(input);
+        const frame = (options.frame || 1) - 1;
+        if (frame >= image.frames.length) {
+            throw new Error(`${input} has only ${image.frames.length} frame(s)`);
+        }
+
+        const title = path.parse(input).name;
+        const exportOptions = { frame, scale: options.scale, title };
+        if (output === '-') {
+            if (format === 'png') {
+                throw new Error('PNG cannot be printed, give an output file');
+            }
+            process.stdout.write(EXPORTERS[format].render(image, exportOptions));
+        } else {
+            output = output || path.join(path.dirname(input), title + EXPORTERS[format].extension);
+            exportImage(image, format, output, exportOptions);
+            console.log(`Exported ${input} -> ${output} (${EXPORTERS[format].label})`);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,283 @@
+// exporters.js - Render EHEX images to plain text, ANSI text, HTML, SVG and PNG
+// Every exporter draws one frame with all visible layers composited, using the image's charset.
+const fs = require('fs');
+const zlib = require('zlib');
+const { crc32 } = require('./crc32.js');
+
+// Colors used where a cell has the terminal default (-1)
+const DEFAULT_FG = [192, 192, 192];
+const DEFAULT_BG = [0, 0, 0];
+
+const BASE_COLORS = [
+    [0, 0, 0], [128, 0, 0], [0, 128, 0], [128, 128, 0], [0, 0, 128], [128, 0, 128], [0, 128, 128], [192, 192, 192],
+    [128, 128, 128], [255, 0, 0], [0, 255, 0], [255, 255, 0], [0, 0, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+];
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// RGB of an xterm 256-color palette index
+function xtermColor(index) {
+    if (index < 16) return BASE_COLORS[index];
+    if (index < 232) {
+        const cube = index - 16;
+        return [CUBE_LEVELS[Math.floor(cube / 36)], CUBE_LEVELS[Math.floor(cube / 6) % 6], CUBE_LEVELS[cube % 6]];
+    }
+    const gray = 8 + (index - 232) * 10;
+    return [gray, gray, gray];
+}
+
+function cssColor(index, fallback) {
+    const rgb = index >= 0 ? xtermColor(index) : fallback;
+    return '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+// Composited cells of one frame as rows of { glyph, fg, bg }
+function cellRows(image, frame = image.currentFrame) {
+    const rows = [];
+    for (let y = 0; y < image.height; y++) {
+        const row = [];
+        for (let x = 0; x < image.width; x++) {
+            const cell = image.getCompositeCell(x, y, frame);
+            row.push({ glyph: image.chars[cell.char], fg: cell.fg, bg: cell.bg });
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Split a row into runs of cells sharing the same colors
+function colorRuns(row) {
+    const runs = [];
+    for (const cell of row) {
+        const last = runs[runs.length - 1];
+        if (last && last.fg === cell.fg && last.bg === cell.bg) {
+            last.text += cell.glyph;
+            last.length++;
+        } else {
+            runs.push({ fg: cell.fg, bg: cell.bg, text: cell.glyph, length: 1 });
+        }
+    }
+    return runs;
+}
+
+function exportText(image, options = {}) {
+    return cellRows(image, options.frame).map(row => row.map(cell => cell.glyph).join('')).join('\n') + '\n';
+}
+
+// 256-color SGR escapes, reset at the end of every colored run
+function exportANSI(image, options = {}) {
+    return cellRows(image, options.frame).map(row => colorRuns(row).map(run => {
+        const codes = [];
+        if (run.fg >= 0) codes.push(`38;5;${run.fg}`);
+        if (run.bg >= 0) codes.push(`48;5;${run.bg}`);
+        return codes.length > 0 ? `\x1b[${codes.join(';')}m${run.text}\x1b[0m` : run.text;
+    }).join('')).join('\n') + '\n';
+}
+
+function escapeXML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Standalone page with the picture in a <pre>, colors as inline styles
+function exportHTML(image, options = {}) {
+    const title = escapeXML(options.title || 'EpicHEX image');
+    const body = cellRows(image, options.frame).map(row => colorRuns(row).map(run => {
+        const text = escapeXML(run.text);
+        if (run.fg < 0 && run.bg < 0) return text;
+        const style = [];
+        if (run.fg >= 0) style.push(`color:${cssColor(run.fg)}`);
+        if (run.bg >= 0) style.push(`background:${cssColor(run.bg)}`);
+        return `<span style="${style.join(';')}">${text}</span>`;
+    }).join('')).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { background: ${cssColor(-1, DEFAULT_BG)}; color: ${cssColor(-1, DEFAULT_FG)}; }
+pre { font-family: monospace; line-height: 1; }
+</style>
+</head>
+<body>
+<pre>
+${body}
+</pre>
+</body>
+</html>
+`;
+}
+
+const SVG_CELL_WIDTH = 8;
+const SVG_CELL_HEIGHT = 16;
+
+// Background rectangles per run, text per run stretched to the exact cell width
+function exportSVG(image, options = {}) {
+    const width = image.width * SVG_CELL_WIDTH;
+    const height = image.height * SVG_CELL_HEIGHT;
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="${cssColor(-1, DEFAULT_BG)}"/>`,
+        `<g font-family="monospace" font-size="14" xml:space="preserve">`
+    ];
+    cellRows(image, options.frame).forEach((row, y) => {
+        let x = 0;
+        for (const run of colorRuns(row)) {
+            const left = x * SVG_CELL_WIDTH;
+            const runWidth = run.length * SVG_CELL_WIDTH;
+            if (run.bg >= 0) {
+                parts.push(`<rect x="${left}" y="${y * SVG_CELL_HEIGHT}" width="${runWidth}" height="${SVG_CELL_HEIGHT}" fill="${cssColor(run.bg)}"/>`);
+            }
+            if (run.text.trim()) {
+                parts.push(`<text x="${left}" y="${(y + 1) * SVG_CELL_HEIGHT - 4}" textLength="${runWidth}" ` +
+                    `fill="${cssColor(run.fg, DEFAULT_FG)}">${escapeXML(run.text)}</text>`);
+            }
+            x += run.length;
+        }
+    });
+    parts.push('</g>', '</svg>', '');
+    return parts.join('\n');
+}
+
+// Classic 5x7 LCD font for ASCII 0x20-0x7E: five columns per glyph, bit 0 is the top row
+// (bit 7 holds descenders)
+const FONT = [
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x5F, 0x00, 0x00, 0x00, 0x07, 0x00, 0x07, 0x00, 0x14, 0x7F, 0x14, 0x7F, 0x14,
+    0x24, 0x2A, 0x7F, 0x2A, 0x12, 0x23, 0x13, 0x08, 0x64, 0x62, 0x36, 0x49, 0x56, 0x20, 0x50, 0x00, 0x08, 0x07, 0x03, 0x00,
+    0x00, 0x1C, 0x22, 0x41, 0x00, 0x00, 0x41, 0x22, 0x1C, 0x00, 0x2A, 0x1C, 0x7F, 0x1C, 0x2A, 0x08, 0x08, 0x3E, 0x08, 0x08,
+    0x00, 0x80, 0x70, 0x30, 0x00, 0x08, 0x08, 0x08, 0x08, 0x08, 0x00, 0x00, 0x60, 0x60, 0x00, 0x20, 0x10, 0x08, 0x04, 0x02,
+    0x3E, 0x51, 0x49, 0x45, 0x3E, 0x00, 0x42, 0x7F, 0x40, 0x00, 0x72, 0x49, 0x49, 0x49, 0x46, 0x21, 0x41, 0x49, 0x4D, 0x33,
+    0x18, 0x14, 0x12, 0x7F, 0x10, 0x27, 0x45, 0x45, 0x45, 0x39, 0x3C, 0x4A, 0x49, 0x49, 0x31, 0x41, 0x21, 0x11, 0x09, 0x07,
+    0x36, 0x49, 0x49, 0x49, 0x36, 0x46, 0x49, 0x49, 0x29, 0x1E, 0x00, 0x00, 0x14, 0x00, 0x00, 0x00, 0x40, 0x34, 0x00, 0x00,
+    0x00, 0x08, 0x14, 0x22, 0x41, 0x14, 0x14, 0x14, 0x14, 0x14, 0x00, 0x41, 0x22, 0x14, 0x08, 0x02, 0x01, 0x59, 0x09, 0x06,
+    0x3E, 0x41, 0x5D, 0x59, 0x4E, 0x7C, 0x12, 0x11, 0x12, 0x7C, 0x7F, 0x49, 0x49, 0x49, 0x36, 0x3E, 0x41, 0x41, 0x41, 0x22,
+    0x7F, 0x41, 0x41, 0x41, 0x3E, 0x7F, 0x49, 0x49, 0x49, 0x41, 0x7F, 0x09, 0x09, 0x09, 0x01, 0x3E, 0x41, 0x41, 0x51, 0x73,
+    0x7F, 0x08, 0x08, 0x08, 0x7F, 0x00, 0x41, 0x7F, 0x41, 0x00, 0x20, 0x40, 0x41, 0x3F, 0x01, 0x7F, 0x08, 0x14, 0x22, 0x41,
+    0x7F, 0x40, 0x40, 0x40, 0x40, 0x7F, 0x02, 0x1C, 0x02, 0x7F, 0x7F, 0x04, 0x08, 0x10, 0x7F, 0x3E, 0x41, 0x41, 0x41, 0x3E,
+    0x7F, 0x09, 0x09, 0x09, 0x06, 0x3E, 0x41, 0x51, 0x21, 0x5E, 0x7F, 0x09, 0x19, 0x29, 0x46, 0x26, 0x49, 0x49, 0x49, 0x32,
+    0x03, 0x01, 0x7F, 0x01, 0x03, 0x3F, 0x40, 0x40, 0x40, 0x3F, 0x1F, 0x20, 0x40, 0x20, 0x1F, 0x3F, 0x40, 0x38, 0x40, 0x3F,
+    0x63, 0x14, 0x08, 0x14, 0x63, 0x03, 0x04, 0x78, 0x04, 0x03, 0x61, 0x59, 0x49, 0x4D, 0x43, 0x00, 0x7F, 0x41, 0x41, 0x41,
+    0x02, 0x04, 0x08, 0x10, 0x20, 0x00, 0x41, 0x41, 0x41, 0x7F, 0x04, 0x02, 0x01, 0x02, 0x04, 0x40, 0x40, 0x40, 0x40, 0x40,
+    0x00, 0x03, 0x07, 0x08, 0x00, 0x20, 0x54, 0x54, 0x78, 0x40, 0x7F, 0x28, 0x44, 0x44, 0x38, 0x38, 0x44, 0x44, 0x44, 0x28,
+    0x38, 0x44, 0x44, 0x28, 0x7F, 0x38, 0x54, 0x54, 0x54, 0x18, 0x00, 0x08, 0x7E, 0x09, 0x02, 0x18, 0xA4, 0xA4, 0x9C, 0x78,
+    0x7F, 0x08, 0x04, 0x04, 0x78, 0x00, 0x44, 0x7D, 0x40, 0x00, 0x20, 0x40, 0x40, 0x3D, 0x00, 0x7F, 0x10, 0x28, 0x44, 0x00,
+    0x00, 0x41, 0x7F, 0x40, 0x00, 0x7C, 0x04, 0x78, 0x04, 0x78, 0x7C, 0x08, 0x04, 0x04, 0x78, 0x38, 0x44, 0x44, 0x44, 0x38,
+    0xFC, 0x18, 0x24, 0x24, 0x18, 0x18, 0x24, 0x24, 0x18, 0xFC, 0x7C, 0x08, 0x04, 0x04, 0x08, 0x48, 0x54, 0x54, 0x54, 0x24,
+    0x04, 0x04, 0x3F, 0x44, 0x24, 0x3C, 0x40, 0x40, 0x20, 0x7C, 0x1C, 0x20, 0x40, 0x20, 0x1C, 0x3C, 0x40, 0x30, 0x40, 0x3C,
+    0x44, 0x28, 0x10, 0x28, 0x44, 0x4C, 0x90, 0x90, 0x90, 0x7C, 0x44, 0x64, 0x54, 0x4C, 0x44, 0x00, 0x08, 0x36, 0x41, 0x00,
+    0x00, 0x00, 0x77, 0x00, 0x00, 0x00, 0x41, 0x36, 0x08, 0x00, 0x02, 0x01, 0x02, 0x04, 0x02
+];
+
+// A PNG cell is 6x12 pixels: the 5x8 glyph sits at (0, 2) with a column of spacing
+const PNG_CELL_WIDTH = 6;
+const PNG_CELL_HEIGHT = 12;
+const MAX_PNG_PIXELS = 100000000;
+
+// Block elements are drawn as geometry so they tile without gaps
+const BLOCKS = {
+    '█': (x, y) => true,
+    '▀': (x, y) => y < PNG_CELL_HEIGHT / 2,
+    '▄': (x, y) => y >= PNG_CELL_HEIGHT / 2,
+    '▌': (x, y) => x < PNG_CELL_WIDTH / 2,
+    '▐': (x, y) => x >= PNG_CELL_WIDTH / 2,
+    '░': (x, y) => (x + y * 2) % 4 === 0,
+    '▒': (x, y) => (x + y) % 2 === 0,
+    '▓': (x, y) => (x + y * 2) % 4 !== 0
+};
+
+// Whether the pixel (x, y) inside a cell is lit for a glyph; unknown glyphs get a hollow box
+function glyphPixel(glyph, x, y) {
+    if (BLOCKS[glyph]) return BLOCKS[glyph](x, y);
+    const code = glyph.codePointAt(0);
+    if (code >= 0x20 && code <= 0x7E) {
+        const row = y - 2;
+        if (x >= 5 || row < 0 || row >= 8) return false;
+        return ((FONT[(code - 0x20) * 5 + x] >> row) & 1) === 1;
+    }
+    return (x === 0 || x === 4 || y === 2 || y === 9) && x < 5 && y >= 2 && y <= 9;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk, 4, 8 + data.length), 8 + data.length);
+    return chunk;
+}
+
+// 8-bit RGB PNG with every cell drawn by the built-in font; scale enlarges each font pixel
+function exportPNG(image, options = {}) {
+    const scale = Math.max(1, Math.floor(options.scale || 1));
+    const width = image.width * PNG_CELL_WIDTH * scale;
+    const height = image.height * PNG_CELL_HEIGHT * scale;
+    if (width * height > MAX_PNG_PIXELS) {
+        throw new Error(`PNG would be ${width}x${height} pixels, too large to export`);
+    }
+
+    const stride = width * 3 + 1;
+    const raw = Buffer.alloc(stride * height); // Filter byte 0 (none) on every line
+    cellRows(image, options.frame).forEach((row, cellY) => {
+        row.forEach((cell, cellX) => {
+            const fg = cell.fg >= 0 ? xtermColor(cell.fg) : DEFAULT_FG;
+            const bg = cell.bg >= 0 ? xtermColor(cell.bg) : DEFAULT_BG;
+            for (let py = 0; py < PNG_CELL_HEIGHT * scale; py++) {
+                const line = (cellY * PNG_CELL_HEIGHT * scale + py) * stride + 1;
+                for (let px = 0; px < PNG_CELL_WIDTH * scale; px++) {
+                    const color = glyphPixel(cell.glyph, Math.floor(px / scale), Math.floor(py / scale)) ? fg : bg;
+                    const at = line + (cellX * PNG_CELL_WIDTH * scale + px) * 3;
+                    raw[at] = color[0];
+                    raw[at + 1] = color[1];
+                    raw[at + 2] = color[2];
+                }
+            }
+        });
+    });
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Truecolor
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+const EXPORTERS = {
+    text: { label: 'Plain text', extension: '.txt', render: exportText },
+    ansi: { label: 'ANSI text', extension: '.ans', render: exportANSI },
+    html: { label: 'HTML page', extension: '.html', render: exportHTML },
+    svg: { label: 'SVG', extension: '.svg', render: exportSVG },
+    png: { label: 'PNG', extension: '.png', render: exportPNG }
+};
+
+// Format name for a file name, from its extension
+function formatForFile(filename) {
+    const extension = filename.slice(filename.lastIndexOf('.')).toLowerCase();
+    if (extension === '.htm') return 'html';
+    return Object.keys(EXPORTERS).find(format => EXPORTERS[format].extension === extension) || null;
+}
+
+function exportImage(image, format, filename, options = {}) {
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORTERS).join(', ')})`);
+    }
+    fs.writeFileSync(filename, exporter.render(image, options));
+}
+
+module.exports = {
+    EXPORTERS,
+    xtermColor,
+    exportText,
+    exportANSI,
+    exportHTML,
+    exportSVG,
+    exportPNG,
+    formatForFile,
+    exportImage
+};
@@ -0,0 +1,353 @@
+// filebrowser.js - Open and Save As dialog shared by the editor and the viewer
+const blessed = require('blessed');
+const fs = require('fs');
+const path = require('path');
+const { loadSync } = require('./files.js');
+const { renderMinimap } = require('./render.js');
+
+const PREVIEW_MAX_BYTES = 4 * 1024 * 1024; // Bigger files are not parsed just for a thumbnail
+
+// One dialog per screen. While it is open it grabs the keyboard, so the hotkeys of the
+// editor or viewer underneath do not fire; show() reports the chosen path (or null) to a callback.
+class FileBrowser {
+    constructor(screen) {
+        this.screen = screen;
+        this.directory = process.cwd(); // Remembered between dialogs
+        this.mode = 'open'; // 'open' or 'save'
+        this.ehexOnly = true;
+        this.extension = '.ehex';
+        this.entries = []; // { name, path, directory }
+        this.callback = null;
+        this.pendingOverwrite = null; // Path waiting for y/n
+        this.previews = new Map(); // path -> { mtime, content }
+        this.visible = false;
+
+        this.initUI();
+        this.bindEvents();
+    }
+
+    initUI() {
+        this.box = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: '80%',
+            height: '80%',
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            label: ' Open '
+        });
+
+        this.pathLine = blessed.box({
+            parent: this.box,
+            top: 0,
+            left: 1,
+            right: 1,
+            height: 1
+        });
+
+        this.list = blessed.list({
+            parent: this.box,
+            top: 1,
+            left: 1,
+            width: '50%-1',
+            bottom: 3,
+            keys: true,
+            border: { type: 'line' },
+            style: { selected: { bg: 'blue' }, border: { fg: 'white' } }
+        });
+
+        this.preview = blessed.box({
+            parent: this.box,
+            top: 1,
+            left: '50%',
+            right: 1,
+            bottom: 3,
+            tags: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'white' } },
+            label: ' Preview '
+        });
+
+        this.nameLabel = blessed.box({
+            parent: this.box,
+            bottom: 1,
+            left: 1,
+            width: 6,
+            height: 1,
+            content: 'Name:'
+        });
+
+        this.nameInput = blessed.textbox({
+            parent: this.box,
+            bottom: 1,
+            left: 7,
+            right: 1,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        this.hint = blessed.box({
+            parent: this.box,
+            bottom: 0,
+            left: 1,
+            right: 1,
+            height: 1
+        });
+    }
+
+    bindEvents() {
+        this.list.on('select item', (item, index) => this.updatePreview(index));
+        this.list.on('select', (item, index) => this.activate(index));
+        this.list.key(['escape'], () => {
+            if (this.pendingOverwrite) {
+                this.answerOverwrite(false);
+            } else {
+                this.finish(null);
+            }
+        });
+        this.list.key(['backspace', 'left'], () => this.changeDirectory(path.dirname(this.directory)));
+        this.list.key(['C-f'], () => this.toggleFilter());
+        this.list.key(['tab'], () => {
+            if (this.mode === 'save') this.nameInput.focus();
+        });
+        this.list.key(['y'], () => this.answerOverwrite(true));
+        this.list.key(['n'], () => this.answerOverwrite(false));
+
+        // Reading the name releases the keyboard when it ends, take it back
+        this.nameInput.on('submit', value => {
+            this.screen.grabKeys = true;
+            this.chooseName(value);
+        });
+        this.nameInput.on('cancel', () => {
+            this.screen.grabKeys = true;
+            this.list.focus();
+            this.screen.render();
+        });
+    }
+
+    // options: mode ('open' or 'save'), title, directory, filename (preselected / suggested)
+    show(options, callback) {
+        this.mode = options.mode || 'open';
+        this.callback = callback;
+        this.pendingOverwrite = null;
+        this.box.setLabel(` ${options.title || (this.mode === 'save' ? 'Save As' : 'Open')} `);
+        if (options.filename) {
+            this.directory = path.dirname(path.resolve(options.filename));
+        } else if (options.directory) {
+            this.directory = path.resolve(options.directory);
+        }
+        const suggested = options.filename ? path.basename(options.filename) : '';
+
+        if (this.mode === 'save') {
+            this.nameLabel.show();
+            this.nameInput.show();
+            this.nameInput.setValue(suggested);
+        } else {
+            this.nameLabel.hide();
+            this.nameInput.hide();
+        }
+
+        this.visible = true;
+        this.screen.saveFocus();
+        this.box.show();
+        this.box.setFront();
+        this.readDirectory(suggested);
+        this.list.focus();
+        this.screen.grabKeys = true;
+        this.screen.render();
+    }
+
+    finish(filename) {
+        this.visible = false;
+        this.pendingOverwrite = null;
+        this.box.hide();
+        this.screen.grabKeys = false;
+        this.screen.restoreFocus();
+        this.screen.render();
+        const callback = this.callback;
+        this.callback = null;
+        if (callback) callback(filename);
+    }
+
+    showHint(message) {
+        const keys = this.mode === 'save' ?
+            'Enter open/choose  Tab name  Backspace up  Ctrl+F filter  Esc cancel' :
+            'Enter open  Backspace up  Ctrl+F filter  Esc cancel';
+        this.hint.setContent(message || keys);
+    }
+
+    // Directories first, then files, each sorted by name; .ehex files only unless the filter is off
+    readDirectory(select = '') {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory, { withFileTypes: true });
+        } catch (error) {
+            this.showHint(`Error: ${error.message}`);
+            return false;
+        }
+        const directories = [];
+        const files = [];
+        for (const entry of names) {
+            const full = path.join(this.directory, entry.name);
+            let isDirectory = entry.isDirectory();
+            if (entry.isSymbolicLink()) {
+                try {
+                    isDirectory = fs.statSync(full).isDirectory();
+                } catch (error) {
+                    continue; // Broken link
+                }
+            }
+            if (isDirectory) {
+                directories.push({ name: entry.name, path: full, directory: true });
+            } else if (!this.ehexOnly || entry.name.toLowerCase().endsWith(this.extension)) {
+                files.push({ name: entry.name, path: full, directory: false });
+            }
+        }
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        this.entries = directories.sort(byName).concat(files.sort(byName));
+        if (path.dirname(this.directory) !== this.directory) {
+            this.entries.unshift({ name: '..', path: path.dirname(this.directory), directory: true });
+        }
+
+        this.pathLine.setContent(`${this.directory}  (${this.ehexOnly ? `*${this.extension}` : 'all files'})`);
+        this.list.setItems(this.entries.map(entry => entry.directory ? `${entry.name}/` : entry.name));
+        const index = Math.max(0, this.entries.findIndex(entry => entry.name === select));
+        this.list.select(index);
+        this.updatePreview(index);
+        this.showHint();
+        return true;
+    }
+
+    changeDirectory(directory) {
+        if (this.pendingOverwrite) return;
+        const previous = this.directory;
+        this.directory = directory;
+        // Going up keeps the directory we came from selected
+        if (!this.readDirectory(path.basename(previous))) {
+            this.directory = previous;
+        }
+        this.screen.render();
+    }
+
+    toggleFilter() {
+        this.ehexOnly = !this.ehexOnly;
+        const current = this.entries[this.list.selected];
+        this.readDirectory(current ? current.name : '');
+        this.screen.render();
+    }
+
+    activate(index) {
+        const entry = this.entries[index];
+        if (!entry || this.pendingOverwrite) return;
+        if (entry.directory) {
+            this.changeDirectory(entry.path);
+        } else if (this.mode === 'open') {
+            this.finish(entry.path);
+        } else {
+            this.nameInput.setValue(entry.name);
+            this.confirmTarget(entry.path);
+        }
+    }
+
+    // Save mode: a typed name is taken relative to the listed directory
+    chooseName(value) {
+        const name = (value || '').trim();
+        if (!name) {
+            this.list.focus();
+            this.screen.render();
+            return;
+        }
+        let target = path.resolve(this.directory, name);
+        if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+            this.nameInput.setValue('');
+            this.list.focus();
+            this.changeDirectory(target);
+            return;
+        }
+        if (!path.extname(target)) {
+            target += this.extension;
+        }
+        this.confirmTarget(target);
+    }
+
+    confirmTarget(target) {
+        if (!fs.existsSync(path.dirname(target))) {
+            this.showHint(`Error: No such directory ${path.dirname(target)}`);
+            this.list.focus();
+            this.screen.render();
+            return;
+        }
+        if (fs.existsSync(target)) {
+            this.pendingOverwrite = target;
+            this.showHint(`${path.basename(target)} already exists. Overwrite it? y = yes, n = no`);
+            this.list.focus();
+            this.screen.render();
+            return;
+        }
+        this.finish(target);
+    }
+
+    answerOverwrite(yes) {
+        const target = this.pendingOverwrite;
+        if (!target) return;
+        this.pendingOverwrite = null;
+        if (yes) {
+            this.finish(target);
+        } else {
+            this.showHint();
+            this.screen.render();
+        }
+    }
+
+    // Thumbnail and size of .ehex files, cached until the file changes
+    updatePreview(index) {
+        const entry = this.entries[index];
+        if (!entry) {
+            this.preview.setContent('');
+            return;
+        }
+        if (entry.directory) {
+            this.preview.setContent(entry.name === '..' ? ' Parent directory' : ' Directory');
+            return;
+        }
+
+        let stat;
+        try {
+            stat = fs.statSync(entry.path);
+        } catch (error) {
+            this.preview.setContent(` ${blessed.escape(error.message)}`);
+            return;
+        }
+        if (!entry.name.toLowerCase().endsWith('.ehex')) {
+            this.preview.setContent(` ${stat.size} bytes`);
+            return;
+        }
+        if (stat.size > PREVIEW_MAX_BYTES) {
+            this.preview.setContent(` ${stat.size} bytes, too large to preview`);
+            return;
+        }
+
+        const cached = this.previews.get(entry.path);
+        if (cached && cached.mtime === stat.mtimeMs) {
+            this.preview.setContent(cached.content);
+            return;
+        }
+        let content;
+        try {
+            const image = loadSync(entry.path, { lenient: true });
+            const width = Math.max(1, this.preview.width - 2);
+            const height = Math.max(1, this.preview.height - 5);
+            const title = image.metadata.title ? `\n ${blessed.escape(image.metadata.title)}` : '';
+            content = renderMinimap(image, width, height) +
+                `\n ${image.width}x${image.height}, ${image.frames.length} frame(s), EHEX v${image.version}${title}`;
+        } catch (error) {
+            content = ` Cannot read: ${blessed.escape(error.message)}`;
+        }
+        this.previews.set(entry.path, { mtime: stat.mtimeMs, content });
+        this.preview.setContent(content);
+    }
+}
+
+module.exports = { FileBrowser, PREVIEW_MAX_BYTES };
@@ -0,0 +1,46 @@
+// files.js - Reading and writing EHEX images with Node's fs and streams
+// The format itself is in image.js, which does no I/O of its own.
+const fs = require('fs');
+const { Readable } = require('stream');
+const { parse, serialize } = require('./image.js');
+
+// Options are those of parse and serialize: { lenient } to read, { version, encoding } to write.
+// Saving keeps the encoding the image was loaded with unless told otherwise.
+
+async function load(filename, options = {}) {
+    return parse(await fs.promises.readFile(filename), options);
+}
+
+async function save(image, filename, options = {}) {
+    await fs.promises.writeFile(filename, serialize(image, options));
+}
+
+// For the terminal apps, which read and write in between key presses anyway
+function loadSync(filename, options = {}) {
+    return parse(fs.readFileSync(filename), options);
+}
+
+function saveSync(image, filename, options = {}) {
+    fs.writeFileSync(filename, serialize(image, options));
+}
+
+// Reads a whole stream (file, socket, request body, stdin...) and parses it
+async function fromStream(stream, options = {}) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return parse(Buffer.concat(chunks), options);
+}
+
+// The encoded image as a readable stream, e.g. for stream.pipeline or an HTTP response
+function toStream(image, options = {}) {
+    return Readable.from([Buffer.from(serialize(image, options))]);
+}
+
+// The deprecated file methods of EHEXImage read through this
+function readBytesSync(filename) {
+    return fs.readFileSync(filename);
+}
+
+module.exports = { load, save, loadSync, saveSync, fromStream, toStream, readBytesSync };
@@ -0,0 +1,159 @@
+// fonts.js - FIGlet (.flf) banner fonts for the text tools
+const fs = require('fs');
+const path = require('path');
+
+const FONT_DIR = path.join(__dirname, '..', 'fonts'); // Fonts bundled with EpicHEX
+const FONT_EXTENSION = '.flf';
+
+// After the 95 printable ASCII characters every font carries these, in this order
+const DEUTSCH_CODES = [196, 214, 220, 228, 246, 252, 223];
+
+// Tagged characters may be written in decimal, octal (0...) or hex (0x...), optionally negative
+function parseCode(text) {
+    const negative = text.startsWith('-');
+    const digits = negative ? text.substring(1) : text;
+    let value;
+    if (/^0x[0-9a-f]+$/i.test(digits)) {
+        value = parseInt(digits.substring(2), 16);
+    } else if (/^0[0-7]*$/.test(digits)) {
+        value = parseInt(digits, 8);
+    } else if (/^[0-9]+$/.test(digits)) {
+        value = parseInt(digits, 10);
+    } else {
+        return null;
+    }
+    return negative ? -value : value;
+}
+
+// A font is { name, height, baseline, hardblank, comment, glyphs: Map(code -> rows) }.
+// Rows keep their blanks, the hardblank is turned into a plain space.
+function parseFont(text, name = 'font') {
+    if (text.startsWith('PK')) {
+        throw new Error(`${name}: Zipped FIGlet fonts are not supported, unzip it first`);
+    }
+    const lines = text.split(/\r?\n/);
+    const header = lines[0].split(/\s+/);
+    const signature = header[0] || '';
+    if (!signature.startsWith('flf2a') || signature.length < 6) {
+        throw new Error(`${name}: Not a FIGlet font (missing flf2a header)`);
+    }
+    const hardblank = signature[5];
+    const height = parseInt(header[1], 10);
+    const baseline = parseInt(header[2], 10);
+    const commentLines = parseInt(header[5], 10);
+    if (!(height > 0) || !(commentLines >= 0)) {
+        throw new Error(`${name}: Invalid FIGlet header "${lines[0]}"`);
+    }
+
+    const font = {
+        name,
+        height,
+        baseline: baseline > 0 ? baseline : height,
+        hardblank,
+        comment: lines.slice(1, 1 + commentLines).join('\n'),
+        glyphs: new Map()
+    };
+
+    let index = 1 + commentLines;
+    const readGlyph = code => {
+        if (index + height > lines.length) {
+            throw new Error(`${name}: Glyph ${code} is cut off`);
+        }
+        const rows = [];
+        for (let row = 0; row < height; row++) {
+            // The last character of a line is its endmark, the glyph's last line has two
+            const line = lines[index++].replace(/\s+$/, '');
+            const endmark = line[line.length - 1];
+            let end = line.length;
+            while (end > 0 && line[end - 1] === endmark && line.length - end < 2) {
+                end--;
+            }
+            rows.push(line.substring(0, end).split(hardblank).join(' '));
+        }
+        // Rows of one glyph may differ in length, pad them so glyphs line up
+        const width = Math.max(...rows.map(row => row.length));
+        font.glyphs.set(code, rows.map(row => row.padEnd(width)));
+    };
+
+    for (let code = 32; code <= 126; code++) {
+        readGlyph(code);
+    }
+    // Older fonts stop after ASCII
+    for (const code of DEUTSCH_CODES) {
+        if (index + height > lines.length) return font;
+        readGlyph(code);
+    }
+    while (index < lines.length) {
+        const tag = lines[index].trim();
+        if (!tag) {
+            index++;
+            continue;
+        }
+        const code = parseCode(tag.split(/\s+/)[0]);
+        if (code === null) {
+            throw new Error(`${name}: Invalid character code "${tag}" on line ${index + 1}`);
+        }
+        index++;
+        readGlyph(code);
+    }
+    return font;
+}
+
+// name is a bundled font ("block") or a path to a .flf file
+function loadFont(name) {
+    const file = fs.existsSync(name) ? name : path.join(FONT_DIR, name.endsWith(FONT_EXTENSION) ? name : name + FONT_EXTENSION);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Font not found: ${name}`);
+    }
+    return parseFont(fs.readFileSync(file, 'latin1'), path.basename(file, FONT_EXTENSION));
+}
+
+// Names of the bundled fonts, sorted
+function listFonts(directory = FONT_DIR) {
+    try {
+        return fs.readdirSync(directory)
+            .filter(name => name.toLowerCase().endsWith(FONT_EXTENSION))
+            .map(name => name.slice(0, -FONT_EXTENSION.length))
+            .sort((a, b) => a.localeCompare(b));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Lines of text drawn with the font, glyphs side by side at full width.
+// Characters the font lacks fall back to '?', or are left out.
+function renderText(font, text) {
+    const rows = [];
+    for (const line of text.split('\n')) {
+        const block = new Array(font.height).fill('');
+        for (const char of line) {
+            const glyph = font.glyphs.get(char.codePointAt(0)) || font.glyphs.get(63);
+            if (!glyph) continue;
+            glyph.forEach((row, i) => {
+                block[i] += row;
+            });
+        }
+        rows.push(...block);
+    }
+    return rows;
+}
+
+// Cells covered by the rendered text, relative to its top left corner
+function textPoints(font, text) {
+    const points = [];
+    renderText(font, text).forEach((row, y) => {
+        for (let x = 0; x < row.length; x++) {
+            if (row[x] !== ' ') points.push({ x, y });
+        }
+    });
+    return points;
+}
+
+module.exports = {
+    FONT_DIR,
+    parseFont,
+    loadFont,
+    listFonts,
+    renderText,
+    textPoints
+};
@@ -0,0 +1,219 @@
+// gallery.js - Image lists and the thumbnail grid of the viewer
+const blessed = require('blessed');
+const fs = require('fs');
+const path = require('path');
+const { loadSync } = require('./files.js');
+const { renderMinimap } = require('./render.js');
+const { PREVIEW_MAX_BYTES } = require('./filebrowser.js');
+
+const CELL_WIDTH = 24; // Thumbnail including its border
+const CELL_HEIGHT = 12;
+
+function isEHEX(name) {
+    return name.toLowerCase().endsWith('.ehex');
+}
+
+// '*' and '?' in the file name only; cmd.exe hands patterns over unexpanded
+function isPattern(item) {
+    return /[*?]/.test(path.basename(item));
+}
+
+function patternToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// Files of a directory accepted by test, sorted by name
+function listImages(directory, test = isEHEX) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isFile() && test(entry.name))
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => path.join(directory, name));
+}
+
+// Like listImages, but a missing or unreadable directory simply has no images
+function tryListImages(directory, test) {
+    try {
+        return listImages(directory, test);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Directories, patterns and single files, in the order given
+function collectImages(items) {
+    const files = [];
+    for (const item of items) {
+        if (isPattern(item)) {
+            const regex = patternToRegExp(path.basename(item));
+            files.push(...tryListImages(path.dirname(item), name => regex.test(name)));
+        } else if (fs.existsSync(item) && fs.statSync(item).isDirectory()) {
+            files.push(...tryListImages(item));
+        } else {
+            files.push(item);
+        }
+    }
+    return files;
+}
+
+// Full screen grid of thumbnails. Like the file browser it grabs the keyboard while open,
+// show() reports the chosen index (or null) to a callback.
+class Gallery {
+    constructor(screen) {
+        this.screen = screen;
+        this.files = [];
+        this.selected = 0;
+        this.firstRow = 0; // Grid row shown at the top
+        this.callback = null;
+        this.cells = [];
+        this.thumbnails = new Map(); // path -> { mtime, content }
+        this.visible = false;
+
+        this.initUI();
+        this.bindEvents();
+    }
+
+    initUI() {
+        this.box = blessed.box({
+            parent: this.screen,
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'cyan' } },
+            label: ' Gallery '
+        });
+
+        this.hint = blessed.box({
+            parent: this.box,
+            bottom: 0,
+            left: 1,
+            right: 1,
+            height: 1,
+            content: 'Arrows/PgUp/PgDn/Home/End move  Enter view  Esc/G close'
+        });
+    }
+
+    bindEvents() {
+        this.box.key(['left'], () => this.move(-1));
+        this.box.key(['right'], () => this.move(1));
+        this.box.key(['up'], () => this.move(-this.columns()));
+        this.box.key(['down'], () => this.move(this.columns()));
+        this.box.key(['pageup'], () => this.move(-this.columns() * this.rows()));
+        this.box.key(['pagedown'], () => this.move(this.columns() * this.rows()));
+        this.box.key(['home'], () => this.move(-this.selected));
+        this.box.key(['end'], () => this.move(this.files.length));
+        this.box.key(['enter'], () => this.finish(this.selected));
+        this.box.key(['escape', 'g'], () => this.finish(null));
+        this.screen.on('resize', () => {
+            if (this.visible) this.render();
+        });
+    }
+
+    show(files, selected, callback) {
+        this.files = files;
+        this.selected = Math.max(0, Math.min(selected, files.length - 1));
+        this.callback = callback;
+        this.visible = true;
+        this.screen.saveFocus();
+        this.box.show();
+        this.box.setFront();
+        this.box.focus();
+        this.screen.grabKeys = true;
+        this.render();
+    }
+
+    finish(index) {
+        this.visible = false;
+        this.box.hide();
+        this.screen.grabKeys = false;
+        this.screen.restoreFocus();
+        this.screen.render();
+        const callback = this.callback;
+        this.callback = null;
+        if (callback) callback(index);
+    }
+
+    columns() {
+        return Math.max(1, Math.floor((this.box.width - 2) / CELL_WIDTH));
+    }
+
+    rows() {
+        return Math.max(1, Math.floor((this.box.height - 3) / CELL_HEIGHT));
+    }
+
+    // Stops at the first and last image instead of wrapping
+    move(delta) {
+        this.selected = Math.max(0, Math.min(this.selected + delta, this.files.length - 1));
+        this.render();
+    }
+
+    // Only the thumbnails on screen are read, so large directories open quickly
+    render() {
+        const columns = this.columns();
+        const rows = this.rows();
+        const row = Math.floor(this.selected / columns);
+        if (row < this.firstRow) {
+            this.firstRow = row;
+        } else if (row >= this.firstRow + rows) {
+            this.firstRow = row - rows + 1;
+        }
+
+        this.cells.forEach(cell => cell.destroy());
+        this.cells = [];
+        const first = this.firstRow * columns;
+        const last = Math.min(this.files.length, first + columns * rows);
+        for (let index = first; index < last; index++) {
+            const file = this.files[index];
+            const name = path.basename(file);
+            const position = index - first;
+            this.cells.push(blessed.box({
+                parent: this.box,
+                top: Math.floor(position / columns) * CELL_HEIGHT,
+                left: (position % columns) * CELL_WIDTH,
+                width: CELL_WIDTH,
+                height: CELL_HEIGHT,
+                tags: true,
+                border: { type: 'line' },
+                style: { border: { fg: index === this.selected ? 'yellow' : 'white' } },
+                label: ` ${name.length > CELL_WIDTH - 4 ? name.substring(0, CELL_WIDTH - 5) + '~' : name} `,
+                content: this.thumbnail(file)
+            }));
+        }
+        this.box.setLabel(` Gallery - ${this.files.length > 0 ? this.selected + 1 : 0}/${this.files.length} ` +
+            `${this.files[this.selected] || ''} `);
+        this.screen.render();
+    }
+
+    // Scaled down image and its size, cached until the file changes
+    thumbnail(file) {
+        let stat;
+        try {
+            stat = fs.statSync(file);
+        } catch (error) {
+            return ` ${blessed.escape(error.message)}`;
+        }
+        if (stat.size > PREVIEW_MAX_BYTES) {
+            return ` ${stat.size} bytes,\n too large to preview`;
+        }
+        const cached = this.thumbnails.get(file);
+        if (cached && cached.mtime === stat.mtimeMs) {
+            return cached.content;
+        }
+        let content;
+        try {
+            const image = loadSync(file, { lenient: true });
+            content = renderMinimap(image, CELL_WIDTH - 2, CELL_HEIGHT - 3) +
+                ` ${image.width}x${image.height}${image.frames.length > 1 ? `, ${image.frames.length} frames` : ''}`;
+        } catch (error) {
+            content = ` Cannot read:\n ${blessed.escape(error.message)}`;
+        }
+        this.thumbnails.set(file, { mtime: stat.mtimeMs, content });
+        return content;
+    }
+}
+
+module.exports = { Gallery, collectImages, listImages, isEHEX };
@@ -0,0 +1,170 @@
+// history.js - Undo/redo history for the EpicHEX editor
+
+// Shallow comparison for cell values ({ char, fg, bg })
+function sameCell(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object') return false;
+    return Object.keys(a).every(key => a[key] === b[key]);
+}
+
+// Every entry is a transaction: either a set of cell changes (paint strokes)
+// or a pair of full image snapshots (resize, load, new image...).
+// Memory is bounded by the number of entries and the number of stored cells.
+class EditHistory {
+    constructor(maxEntries = 100, maxCells = 500000) {
+        this.maxEntries = maxEntries;
+        this.maxCells = maxCells;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.cellCount = 0;
+        this.revision = 0; // Bumped on every change to the image through the history
+        this.savedEntry = null; // Newest undo entry when the image was last saved
+    }
+
+    // Undoing back to the saved state counts as unmodified again
+    markSaved() {
+        if (this.pending) {
+            this.commit();
+        }
+        this.savedEntry = this.top();
+    }
+
+    isModified() {
+        return (this.pending !== null && this.pending.cells.size > 0) || this.top() !== this.savedEntry;
+    }
+
+    top() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    // "where" is the image location (e.g. the frame) the cells belong to
+    begin(label, where = null) {
+        if (this.pending) {
+            this.commit();
+        }
+        this.pending = { label, where, cells: new Map() };
+    }
+
+    recordCell(x, y, before, after) {
+        if (!this.pending) return;
+
+        // Keep the first "before" value so a stroke over the same cell undoes in one step
+        const key = `${x},${y}`;
+        const existing = this.pending.cells.get(key);
+        if (existing) {
+            existing.after = after;
+        } else {
+            this.pending.cells.set(key, { x, y, before, after });
+        }
+    }
+
+    commit() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return false;
+
+        const cells = [];
+        for (const cell of pending.cells.values()) {
+            if (!sameCell(cell.before, cell.after)) {
+                cells.push(cell);
+            }
+        }
+        if (cells.length === 0) return false;
+
+        this.push({ label: pending.label, where: pending.where, cells, size: cells.length });
+        return true;
+    }
+
+    cancel() {
+        this.pending = null;
+    }
+
+    // Record a structural change as before/after snapshots from EHEXImage.snapshot()
+    recordSnapshot(label, before, after) {
+        if (this.pending) {
+            this.commit();
+        }
+        const size = this.snapshotSize(before) + this.snapshotSize(after);
+        this.push({ label, before, after, size });
+    }
+
+    // Every cel holds three grids: chars, foreground and background colors
+    snapshotSize(state) {
+        const cels = state.frames ? state.frames.length * state.layers.length : 1;
+        return state.width * state.height * cels * 3;
+    }
+
+    push(entry) {
+        this.revision++;
+        this.undoStack.push(entry);
+        this.cellCount += entry.size;
+
+        for (const dropped of this.redoStack) {
+            this.cellCount -= dropped.size;
+        }
+        this.redoStack = [];
+
+        // Drop the oldest transactions once over budget, but always keep the newest
+        while (this.undoStack.length > 1 &&
+               (this.undoStack.length > this.maxEntries || this.cellCount > this.maxCells)) {
+            this.cellCount -= this.undoStack.shift().size;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo(image) {
+        if (this.pending) {
+            this.commit();
+        }
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.revision++;
+        if (entry.cells) {
+            image.select(entry.where);
+            for (let i = entry.cells.length - 1; i >= 0; i--) {
+                const cell = entry.cells[i];
+                image.setCell(cell.x, cell.y, cell.before);
+            }
+        } else {
+            image.restore(entry.before);
+        }
+        this.redoStack.push(entry);
+        return entry.label;
+    }
+
+    redo(image) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.revision++;
+        if (entry.cells) {
+            image.select(entry.where);
+            for (const cell of entry.cells) {
+                image.setCell(cell.x, cell.y, cell.after);
+            }
+        } else {
+            image.restore(entry.after);
+        }
+        this.undoStack.push(entry);
+        return entry.label;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.cellCount = 0;
+        this.savedEntry = null;
+    }
+}
+
+module.exports = { EditHistory };
@@ -0,0 +1,1559 @@
+// image.js - The EHEX image model: format encoding/decoding, frames, layers and editing operations
+// Kept free of UI code and file access, so it works in services and bundlers as well;
+// reading and writing files is in files.js. Nothing here needs Node until a binary file is
+// encoded or decoded (Buffer), a bitmap is imported (raster.js, which needs zlib) or one of
+// the deprecated file methods is called (files.js).
+const { crc32 } = require('./crc32.js');
+
+const DEFAULT_FRAME_DELAY = 100; // ms
+const MAX_SIZE = 16384; // Per side; the editor scrolls, so this is only a sanity limit
+// Resize anchors in reading order; the resize dialog numbers them 1-9
+const ANCHORS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+
+const MAX_DIAGNOSTICS = 100; // Parse problems kept per file
+
+// Lines that start a block or set a header field; anything else inside a block is data
+const KEYWORD = /^(V\d|[A-Z]+:)/;
+
+// Value of every hex digit by char code, undefined for anything else
+const HEX_VALUES = [];
+for (const digit of '0123456789abcdefABCDEF') {
+    HEX_VALUES[digit.charCodeAt(0)] = parseInt(digit, 16);
+}
+
+// How save writes the image: one digit per pixel, run-length rows, or the packed binary container
+const ENCODINGS = ['text', 'rle', 'binary'];
+
+// Metadata keys the tools know about; any other key is read and written back as it is
+const METADATA_KEYS = ['title', 'author', 'created', 'modified', 'tags', 'comment'];
+const METADATA_KEY = /^[a-z][a-z0-9_.-]*$/;
+
+// META: values are one line; backslashes and line breaks are escaped
+function escapeMetadata(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeMetadata(value) {
+    return value.replace(/\\(.)/g, (match, char) => char === 'n' ? '\n' : char);
+}
+
+// Start of a packed binary file; 0x1A stops DOS "type" from dumping the rest
+const BINARY_MAGIC = Uint8Array.from('EHEXB\x1a', char => char.charCodeAt(0));
+
+// Run-length row of a PIXELS:RLE, FOREGROUND:RLE or BACKGROUND:RLE block: a unit (one pixel
+// digit, or two color digits) followed by {n} stands for n copies, so "0{37}f" is 37 blank
+// pixels and an f. Runs are only written where they are shorter than the plain digits.
+function compressRow(text, unitLength) {
+    let data = '';
+    for (let i = 0; i < text.length;) {
+        const unit = text.substr(i, unitLength);
+        let count = 1;
+        while (text.substr(i + count * unitLength, unitLength) === unit) {
+            count++;
+        }
+        const run = `${unit}{${count}}`;
+        data += run.length < unit.length * count ? run : unit.repeat(count);
+        i += count * unitLength;
+    }
+    return data;
+}
+
+// Expands a run-length row back to exactly length chars. Bad units, broken runs and
+// wrong row lengths are reported at their column in the compressed text and read as blank.
+function expandRow(text, unitLength, length, isUnit, report) {
+    const blank = unitLength === 1 ? '0' : '--';
+    let data = '';
+    let i = 0;
+    let overflow = 0; // Column of the unit that ran past the row
+    while (i < text.length && data.length < length) {
+        let unit = text.substr(i, unitLength);
+        const column = i + 1;
+        i += unitLength;
+        if (!isUnit(unit)) {
+            report(column, unitLength === 1 ? `Bad pixel digit "${unit}"` : `Bad color "${unit}", expected two hex digits or --`);
+            unit = blank;
+        }
+        let count = 1;
+        if (text[i] === '{') {
+            const match = /^\{(\d+)\}/.exec(text.substring(i));
+            if (!match || parseInt(match[1]) < 1) {
+                report(i + 1, 'Malformed run, expected {<count>} after a unit');
+                const end = text.indexOf('}', i);
+                i = end < 0 ? text.length : end + 1;
+                continue;
+            }
+            count = parseInt(match[1]);
+            i += match[0].length;
+        }
+        const room = (length - data.length) / unitLength;
+        if (count > room) {
+            overflow = overflow || column;
+            count = room;
+        }
+        data += unit.repeat(count);
+    }
+
+    const units = length / unitLength;
+    if (overflow || i < text.length) {
+        report(overflow || i + 1, `Row has more than ${units} pixels`);
+    } else if (data.length < length) {
+        report(text.length + 1, `Row has ${data.length / unitLength} pixels, expected ${units}`);
+    }
+    return data.padEnd(length, blank);
+}
+
+function isPixelUnit(unit) {
+    return HEX_VALUES[unit.charCodeAt(0)] !== undefined;
+}
+
+function isColorUnit(unit) {
+    return unit === '--' ||
+        (unit.length === 2 && HEX_VALUES[unit.charCodeAt(0)] !== undefined && HEX_VALUES[unit.charCodeAt(1)] !== undefined);
+}
+
+// Diagnostics are { line, column, message } with 1-based line and column, or
+// { offset, message } with a byte offset for the binary container
+function formatDiagnostic(diagnostic) {
+    if (diagnostic.offset !== undefined) {
+        return `byte ${diagnostic.offset}: ${diagnostic.message}`;
+    }
+    return `line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`;
+}
+
+// In file order; blocks are checked as a whole, so problems are not found in order
+function sortDiagnostics(diagnostics) {
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// Thrown by strict decoding; diagnostics holds every problem found, not just the first
+class EHEXParseError extends Error {
+    constructor(diagnostics) {
+        const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+        super(formatDiagnostic(diagnostics[0]) + more);
+        this.name = 'EHEXParseError';
+        this.diagnostics = diagnostics;
+        this.line = diagnostics[0].line;
+        this.column = diagnostics[0].column;
+    }
+}
+
+// Most frequent value in a list, the first one seen wins ties
+function mostCommon(values) {
+    const counts = new Map();
+    let best = values[0];
+    let bestCount = 0;
+    for (const value of values) {
+        const count = (counts.get(value) || 0) + 1;
+        counts.set(value, count);
+        if (count > bestCount) {
+            best = value;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// EHEX v2/v3 Image Format Implementation
+// v3 adds a foreground and background color (256-color index, -1 = default) per pixel.
+// An image holds one or more frames, each frame holds one cel per layer.
+// pixels/fg/bg always point at the cel of the current frame and layer.
+class EHEXImage {
+    constructor(width = 20, height = 10) {
+        this.magic = 'EHEX2';
+        this.version = 2;
+        this.width = Math.min(width, MAX_SIZE);
+        this.height = Math.min(height, MAX_SIZE);
+        this.chars = this.createDefaultCharset();
+        this.transparent = 0; // Char index that lets lower layers show through
+        this.warnings = []; // Problems repaired by the last lenient decode
+        this.upgradedFrom = null; // 1 when the last decode read the legacy v1 layout
+        this.encoding = 'text'; // One of ENCODINGS; decode keeps the file's, so saving writes it back the same way
+        this.metadata = {}; // Key/value strings, see METADATA_KEYS; kept in insertion order
+        this.layers = [this.createLayer('Background')];
+        this.currentLayer = 0;
+        this.frames = [this.createFrame()];
+        this.selectFrame(0);
+    }
+
+    createDefaultCharset() {
+        // Characters from simple to complex
+        return [' ', '.', ':', '-', '=', '+', '*', '#', '%', '&', '$', '@', 'Q', 'W', 'M', '█'];
+    }
+
+    isDefaultCharset() {
+        const defaults = this.createDefaultCharset();
+        return this.chars.every((char, i) => char === defaults[i]);
+    }
+
+    setChar(index, glyph) {
+        if (index < 0 || index > 15) {
+            throw new Error(`Charset slot must be between 0 and 15, got ${index}`);
+        }
+        const glyphs = Array.from(glyph);
+        if (glyphs.length !== 1 || /[\x00-\x1f\x7f]/.test(glyph)) {
+            throw new Error('Charset glyph must be a single printable character');
+        }
+        this.chars[index] = glyph;
+    }
+
+    // CHARSET: line holds exactly 16 glyphs, split by code point so block and box-drawing chars work
+    parseCharset(value) {
+        const glyphs = Array.from(value);
+        if (glyphs.length !== 16) {
+            throw new Error(`CHARSET must contain 16 characters, found ${glyphs.length}`);
+        }
+        return glyphs;
+    }
+
+    // An empty value removes the key
+    setMetadata(key, value) {
+        if (!METADATA_KEY.test(key)) {
+            throw new Error(`Metadata keys are lowercase letters, digits, _ . and -, found "${key}"`);
+        }
+        value = String(value);
+        if (value === '') {
+            delete this.metadata[key];
+        } else {
+            this.metadata[key] = value;
+        }
+    }
+
+    // Stamps the first save as created and every save as modified
+    touch(date = new Date()) {
+        const stamp = date.toISOString();
+        if (!this.metadata.created) {
+            this.metadata.created = stamp;
+        }
+        this.metadata.modified = stamp;
+    }
+
+    // Rows are typed arrays so large images stay compact in memory
+    createEmptyPixels(width = this.width, height = this.height) {
+        const pixels = [];
+        for (let y = 0; y < height; y++) {
+            pixels.push(new Uint8Array(width)); // Default to space character
+        }
+        return pixels;
+    }
+
+    createEmptyColors(width = this.width, height = this.height) {
+        const colors = [];
+        for (let y = 0; y < height; y++) {
+            colors.push(new Int16Array(width).fill(-1));
+        }
+        return colors;
+    }
+
+    createLayer(name, visible = true, locked = false) {
+        return { name, visible, locked };
+    }
+
+    createCel() {
+        return {
+            pixels: this.createEmptyPixels(),
+            fg: this.createEmptyColors(),
+            bg: this.createEmptyColors()
+        };
+    }
+
+    cloneCel(cel) {
+        return {
+            pixels: cel.pixels.map(row => row.slice()),
+            fg: cel.fg.map(row => row.slice()),
+            bg: cel.bg.map(row => row.slice())
+        };
+    }
+
+    createFrame(delay = DEFAULT_FRAME_DELAY) {
+        return {
+            cels: this.layers.map(() => this.createCel()),
+            delay
+        };
+    }
+
+    cloneFrame(frame) {
+        return {
+            cels: frame.cels.map(cel => this.cloneCel(cel)),
+            delay: frame.delay
+        };
+    }
+
+    selectFrame(index) {
+        this.currentFrame = Math.max(0, Math.min(index, this.frames.length - 1));
+        this.selectCel();
+    }
+
+    selectLayer(index) {
+        this.currentLayer = Math.max(0, Math.min(index, this.layers.length - 1));
+        this.selectCel();
+    }
+
+    selectCel() {
+        const cel = this.frames[this.currentFrame].cels[this.currentLayer];
+        this.pixels = cel.pixels;
+        this.fg = cel.fg;
+        this.bg = cel.bg;
+    }
+
+    addFrame(index = this.currentFrame + 1) {
+        this.frames.splice(index, 0, this.createFrame());
+        this.selectFrame(index);
+        return index;
+    }
+
+    duplicateFrame(index = this.currentFrame) {
+        this.frames.splice(index + 1, 0, this.cloneFrame(this.frames[index]));
+        this.selectFrame(index + 1);
+        return index + 1;
+    }
+
+    deleteFrame(index = this.currentFrame) {
+        if (this.frames.length === 1) {
+            throw new Error('An image needs at least one frame');
+        }
+        this.frames.splice(index, 1);
+        this.selectFrame(Math.min(index, this.frames.length - 1));
+    }
+
+    moveFrame(from, to) {
+        if (to < 0 || to >= this.frames.length) return;
+        const [frame] = this.frames.splice(from, 1);
+        this.frames.splice(to, 0, frame);
+        this.selectFrame(to);
+    }
+
+    setFrameDelay(index, delay) {
+        // Whole milliseconds only, the file format has no fractions
+        if (!Number.isInteger(delay) || delay <= 0) {
+            throw new Error('Frame delay must be a positive whole number of milliseconds');
+        }
+        this.frames[index].delay = delay;
+    }
+
+    // Layers are ordered bottom to top; every frame gets a cel for each layer
+    addLayer(name = `Layer ${this.layers.length + 1}`, index = this.currentLayer + 1) {
+        this.layers.splice(index, 0, this.createLayer(name));
+        for (const frame of this.frames) {
+            frame.cels.splice(index, 0, this.createCel());
+        }
+        this.selectLayer(index);
+        return index;
+    }
+
+    deleteLayer(index = this.currentLayer) {
+        if (this.layers.length === 1) {
+            throw new Error('An image needs at least one layer');
+        }
+        this.layers.splice(index, 1);
+        for (const frame of this.frames) {
+            frame.cels.splice(index, 1);
+        }
+        this.selectLayer(Math.min(index, this.layers.length - 1));
+    }
+
+    moveLayer(from, to) {
+        if (to < 0 || to >= this.layers.length) return;
+        const [layer] = this.layers.splice(from, 1);
+        this.layers.splice(to, 0, layer);
+        for (const frame of this.frames) {
+            const [cel] = frame.cels.splice(from, 1);
+            frame.cels.splice(to, 0, cel);
+        }
+        this.selectLayer(to);
+    }
+
+    renameLayer(index, name) {
+        if (!name || /[\r\n]/.test(name)) {
+            throw new Error('Layer name must be a single non-empty line');
+        }
+        this.layers[index].name = name;
+    }
+
+    setTransparent(charIndex) {
+        if (charIndex < 0 || charIndex > 15) {
+            throw new Error(`Transparent index must be between 0 and 15, got ${charIndex}`);
+        }
+        this.transparent = charIndex;
+    }
+
+    isOpaque(cel, x, y) {
+        return cel.pixels[y][x] !== this.transparent || cel.bg[y][x] !== -1;
+    }
+
+    // Visible result of all layers at a cell: the topmost opaque visible cel wins,
+    // otherwise whatever the lowest visible layer holds
+    getCompositeCell(x, y, frameIndex = this.currentFrame) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return { char: 0, fg: -1, bg: -1 };
+        }
+        const cels = this.frames[frameIndex].cels;
+        let lowest = null;
+        for (let i = this.layers.length - 1; i >= 0; i--) {
+            if (!this.layers[i].visible) continue;
+            const cel = cels[i];
+            if (this.isOpaque(cel, x, y)) {
+                return { char: cel.pixels[y][x], fg: cel.fg[y][x], bg: cel.bg[y][x] };
+            }
+            lowest = cel;
+        }
+        if (lowest) {
+            return { char: lowest.pixels[y][x], fg: lowest.fg[y][x], bg: lowest.bg[y][x] };
+        }
+        return { char: 0, fg: -1, bg: -1 };
+    }
+
+    // Merge all layers of every frame into a single layer
+    flatten() {
+        this.frames.forEach((frame, frameIndex) => {
+            const cel = this.createCel();
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    const cell = this.getCompositeCell(x, y, frameIndex);
+                    cel.pixels[y][x] = cell.char;
+                    cel.fg[y][x] = cell.fg;
+                    cel.bg[y][x] = cell.bg;
+                }
+            }
+            frame.cels = [cel];
+        });
+        this.layers = [this.createLayer('Background')];
+        this.selectLayer(0);
+    }
+
+    // Flattened copy, e.g. for exporting as a plain single-layer file
+    flattened() {
+        const copy = new EHEXImage();
+        copy.restore(this.snapshot());
+        copy.flatten();
+        return copy;
+    }
+
+    // Where edits currently land; the editor history uses this to undo in the right frame and layer
+    location() {
+        return { frame: this.currentFrame, layer: this.currentLayer };
+    }
+
+    select(where) {
+        if (where && where.frame !== undefined) {
+            this.currentFrame = where.frame;
+        }
+        if (where && where.layer !== undefined) {
+            this.currentLayer = where.layer;
+        }
+        this.selectFrame(this.currentFrame);
+    }
+
+    setPixel(x, y, charIndex) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            this.pixels[y][x] = charIndex;
+        }
+    }
+
+    getPixel(x, y) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return this.pixels[y][x];
+        }
+        return 0;
+    }
+
+    setColor(x, y, fg, bg) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            this.fg[y][x] = fg;
+            this.bg[y][x] = bg;
+        }
+    }
+
+    getCell(x, y) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return { char: this.pixels[y][x], fg: this.fg[y][x], bg: this.bg[y][x] };
+        }
+        return { char: 0, fg: -1, bg: -1 };
+    }
+
+    setCell(x, y, cell) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            this.pixels[y][x] = cell.char;
+            this.fg[y][x] = cell.fg;
+            this.bg[y][x] = cell.bg;
+        }
+    }
+
+    // Only images that actually use color need the v3 layout
+    formatVersion() {
+        return this.usesColor() ? 3 : 2;
+    }
+
+    usesColor() {
+        return this.frames.some(frame => frame.cels.some(cel => {
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    if (cel.fg[y][x] !== -1 || cel.bg[y][x] !== -1) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        }));
+    }
+
+    // The version defaults to the lowest one that keeps everything; forcing 2 drops the colors.
+    // Returns the text of the file, or a Buffer for the binary encoding. The image is left as it
+    // is: its version and encoding only change when a file is decoded into it.
+    encode(version = this.formatVersion(), encoding = this.encoding) {
+        if (version !== 2 && version !== 3) {
+            throw new Error(`Cannot write EHEX version ${version}`);
+        }
+        if (!ENCODINGS.includes(encoding)) {
+            throw new Error(`Unknown encoding: ${encoding} (expected ${ENCODINGS.join(', ')})`);
+        }
+        if (encoding === 'binary') {
+            return this.encodeBinary(version);
+        }
+        const rle = encoding === 'rle';
+        const block = name => `${name}:${rle ? 'RLE' : ''}\n`;
+
+        let data = `${this.magic}\n`;
+        data += `V${version}\n`;
+        data += `SIZE:${this.width}x${this.height}\n`;
+        if (!this.isDefaultCharset()) {
+            data += `CHARSET:${this.chars.join('')}\n`;
+        }
+        for (const [key, value] of Object.entries(this.metadata)) {
+            data += `META:${key}=${escapeMetadata(value)}\n`;
+        }
+
+        // Layer table: LAYER:<visible><locked>:<name>, bottom to top
+        const layered = this.layers.length > 1;
+        if (layered) {
+            data += `TRANSPARENT:${this.transparent.toString(16)}\n`;
+            for (const layer of this.layers) {
+                data += `LAYER:${layer.visible ? 1 : 0}${layer.locked ? 1 : 0}:${layer.name}\n`;
+            }
+        }
+
+        // Single-frame images keep the plain layout; animations repeat FRAME: blocks
+        const animated = this.frames.length > 1;
+        for (const frame of this.frames) {
+            if (animated) {
+                data += `FRAME:${frame.delay}\n`;
+            }
+            frame.cels.forEach((cel, index) => {
+                if (layered) {
+                    data += `CEL:${index}\n`;
+                }
+                data += block('PIXELS') + this.encodePixels(cel.pixels, rle);
+                if (version === 3) {
+                    data += block('FOREGROUND') + this.encodeColors(cel.fg, rle);
+                    data += block('BACKGROUND') + this.encodeColors(cel.bg, rle);
+                }
+            });
+        }
+
+        return data;
+    }
+
+    encodePixels(pixels, rle = false) {
+        let data = '';
+        for (let y = 0; y < this.height; y++) {
+            let rowData = '';
+            for (let x = 0; x < this.width; x++) {
+                // Each pixel: char (1 hex digit)
+                rowData += pixels[y][x].toString(16);
+            }
+            data += (rle ? compressRow(rowData, 1) : rowData) + '\n';
+        }
+        return data;
+    }
+
+    // Two hex digits per pixel, "--" for the terminal default color
+    encodeColors(colors, rle = false) {
+        let data = '';
+        for (let y = 0; y < this.height; y++) {
+            let rowData = '';
+            for (let x = 0; x < this.width; x++) {
+                const color = colors[y][x];
+                rowData += color < 0 ? '--' : color.toString(16).padStart(2, '0');
+            }
+            data += (rle ? compressRow(rowData, 2) : rowData) + '\n';
+        }
+        return data;
+    }
+
+    // Packed binary container, numbers are big-endian:
+    //   "EHEXB" 0x1A, version u8, width u16, height u16, transparent index u8,
+    //   charset: byte length u16 + UTF-8, empty for the default charset,
+    //   layer count u16, per layer: flags u8 (1 visible, 2 locked), name length u16 + UTF-8,
+    //   frame count u16, per frame: delay u32 (ms), then one cel per layer:
+    //     pixels two per byte, high nibble first, row after row without padding,
+    //     v3 only: foreground then background, each a bit per pixel (set = has a color,
+    //     most significant bit first) followed by one byte per set bit,
+    //   only when there is metadata: entry count u16, per entry key and value, each length u16 + UTF-8,
+    //   CRC-32 u32 of everything before it.
+    encodeBinary(version) {
+        const chunks = [BINARY_MAGIC];
+        const number = (value, size) => {
+            const bytes = Buffer.alloc(size);
+            bytes.writeUIntBE(value, 0, size);
+            chunks.push(bytes);
+        };
+        const text = value => {
+            const bytes = Buffer.from(value, 'utf8');
+            number(bytes.length, 2);
+            chunks.push(bytes);
+        };
+
+        number(version, 1);
+        number(this.width, 2);
+        number(this.height, 2);
+        number(this.transparent, 1);
+        text(this.isDefaultCharset() ? '' : this.chars.join(''));
+        number(this.layers.length, 2);
+        for (const layer of this.layers) {
+            number((layer.visible ? 1 : 0) | (layer.locked ? 2 : 0), 1);
+            text(layer.name);
+        }
+        number(this.frames.length, 2);
+        for (const frame of this.frames) {
+            number(frame.delay, 4);
+            for (const cel of frame.cels) {
+                chunks.push(this.packPixels(cel.pixels));
+                if (version === 3) {
+                    chunks.push(this.packColors(cel.fg), this.packColors(cel.bg));
+                }
+            }
+        }
+        const entries = Object.entries(this.metadata);
+        if (entries.length > 0) {
+            number(entries.length, 2);
+            for (const [key, value] of entries) {
+                text(key);
+                text(value);
+            }
+        }
+
+        const body = Buffer.concat(chunks);
+        const checksum = Buffer.alloc(4);
+        checksum.writeUInt32BE(crc32(body));
+        return Buffer.concat([body, checksum]);
+    }
+
+    packPixels(pixels) {
+        const packed = Buffer.alloc(Math.ceil(this.width * this.height / 2));
+        let n = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++, n++) {
+                packed[n >> 1] |= n & 1 ? pixels[y][x] : pixels[y][x] << 4;
+            }
+        }
+        return packed;
+    }
+
+    packColors(colors) {
+        const mask = Buffer.alloc(Math.ceil(this.width * this.height / 8));
+        const values = [];
+        let n = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++, n++) {
+                if (colors[y][x] >= 0) {
+                    mask[n >> 3] |= 0x80 >> (n & 7);
+                    values.push(colors[y][x]);
+                }
+            }
+        }
+        return Buffer.concat([mask, Buffer.from(values)]);
+    }
+
+    // Strict by default: every problem is collected and thrown as one EHEXParseError.
+    // With { lenient: true } repairable problems become warnings instead; they are
+    // returned and kept in this.warnings. An unreadable header always throws.
+    // data is the text of the file or its bytes (Buffer, Uint8Array or ArrayBuffer); bytes may
+    // also hold the binary container.
+    decode(data, options = {}) {
+        if (data instanceof ArrayBuffer) {
+            data = new Uint8Array(data);
+        }
+        if (data instanceof Uint8Array) {
+            if (BINARY_MAGIC.every((byte, i) => data[i] === byte)) {
+                const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.length);
+                return this.decodeBinary(bytes, options);
+            }
+            data = new TextDecoder().decode(data);
+        } else if (typeof data !== 'string') {
+            throw new EHEXParseError([{ line: 1, column: 1, message: 'EHEX data must be a string, Buffer, Uint8Array or ArrayBuffer' }]);
+        }
+        const lenient = Boolean(options.lenient);
+        const diagnostics = [];
+        const report = (line, column, message) => {
+            if (diagnostics.length < MAX_DIAGNOSTICS) {
+                diagnostics.push({ line, column, message });
+            }
+        };
+        const fatal = (line, column, message) => {
+            report(line, column, message);
+            throw new EHEXParseError(sortDiagnostics(diagnostics));
+        };
+
+        // Windows line endings and a byte order mark are accepted as they are
+        const lines = data.replace(/^\uFEFF/, '').split(/\r?\n/);
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        const magic = lines[0];
+        if (magic === 'EHEX') {
+            return this.decodeV1(lines, lenient, diagnostics, report);
+        }
+        if (magic !== 'EHEX2') {
+            fatal(1, 1, 'Invalid EHEX file: the first line must be EHEX2 (or EHEX for v1)');
+        }
+
+        // Header fields are only written back once the whole file parsed
+        const header = { version: null, width: 0, height: 0, chars: this.createDefaultCharset(), transparent: 0, metadata: {} };
+        const seen = {};
+        const layers = [];
+        const frames = [];
+        let frame = null;
+        let cel = null;
+        let pixelData = false; // Set by the first PIXELS: block; the size is fixed from then on
+        const newCel = () => ({ pixels: null, fg: null, bg: null });
+        const newFrame = (delay, line) => {
+            frame = { cels: [], delay, line };
+            frames.push(frame);
+            return frame;
+        };
+
+        // Data rows following a block keyword, up to the next keyword line
+        const blockRows = (start, limit) => {
+            const rows = [];
+            for (let i = start; i < lines.length && rows.length < limit && !KEYWORD.test(lines[i]); i++) {
+                rows.push(lines[i]);
+            }
+            return rows;
+        };
+
+        // Run-length rows are expanded up front, so parsePixels and parseColors only see full rows
+        const expand = (rows, firstLine, unitLength, isUnit) => rows.map((row, y) =>
+            expandRow(row, unitLength, this.width * unitLength, isUnit, (column, message) => report(firstLine + y, column, message)));
+        const rowWidth = (row, rle) => !rle ? row.length :
+            (row.match(/.(\{\d+\})?/g) || []).reduce((sum, unit) => sum + (unit.length > 1 ? parseInt(unit.substring(2)) : 1), 0);
+
+        // Header keys may appear only once
+        const once = (key, lineNumber) => {
+            if (seen[key]) {
+                report(lineNumber, 1, `Duplicate ${key} line (first on line ${seen[key]})`);
+                return false;
+            }
+            seen[key] = lineNumber;
+            return true;
+        };
+
+        const previous = { width: this.width, height: this.height };
+        try {
+            for (let i = 1; i < lines.length; i++) {
+                const line = lines[i];
+                const lineNumber = i + 1;
+                let match;
+
+                if (line.trim() === '') {
+                    continue;
+                } else if (line.startsWith('V') && !line.includes(':')) {
+                    match = /^V(\d+)$/.exec(line);
+                    if (!match) {
+                        fatal(lineNumber, 2, `Malformed version line "${line}"`);
+                    }
+                    const version = parseInt(match[1]);
+                    if (version !== 2 && version !== 3) {
+                        fatal(lineNumber, 2, `Unsupported EHEX version: ${version}`);
+                    }
+                    if (once('V', lineNumber)) header.version = version;
+                } else if (line.startsWith('SIZE:')) {
+                    if (!once('SIZE', lineNumber)) continue;
+                    if (pixelData) {
+                        report(lineNumber, 1, 'SIZE: must come before the first PIXELS: block');
+                        continue;
+                    }
+                    match = /^SIZE:(\d+)x(\d+)$/.exec(line);
+                    const width = match ? parseInt(match[1]) : 0;
+                    const height = match ? parseInt(match[2]) : 0;
+                    if (!match) {
+                        report(lineNumber, 6, `Malformed size "${line.substring(5)}", expected <width>x<height>`);
+                    } else if (width < 1 || height < 1 || width > MAX_SIZE || height > MAX_SIZE) {
+                        report(lineNumber, 6, `Size ${width}x${height} is outside 1x1 to ${MAX_SIZE}x${MAX_SIZE}`);
+                    } else {
+                        header.width = width;
+                        header.height = height;
+                        this.width = width;
+                        this.height = height;
+                        continue;
+                    }
+                    if (!lenient) throw new EHEXParseError(sortDiagnostics(diagnostics));
+                } else if (line.startsWith('CHARSET:')) {
+                    if (!once('CHARSET', lineNumber)) continue;
+                    try {
+                        header.chars = this.parseCharset(line.substring(8));
+                    } catch (error) {
+                        report(lineNumber, 9, error.message);
+                    }
+                } else if (line.startsWith('TRANSPARENT:')) {
+                    if (!once('TRANSPARENT', lineNumber)) continue;
+                    match = /^TRANSPARENT:([0-9a-fA-F])$/.exec(line);
+                    if (match) {
+                        header.transparent = parseInt(match[1], 16);
+                    } else {
+                        report(lineNumber, 13, `Transparent index must be one hex digit, found "${line.substring(12)}"`);
+                    }
+                } else if (line.startsWith('META:')) {
+                    if (pixelData) {
+                        // Still kept, nothing depends on where it is
+                        report(lineNumber, 1, 'META: lines must come before the first PIXELS: block');
+                    }
+                    match = /^META:([^=]*)=(.*)$/.exec(line);
+                    if (!match || !METADATA_KEY.test(match[1])) {
+                        report(lineNumber, 6, 'Malformed metadata, expected META:<key>=<value> with a lowercase key');
+                    } else if (once(`META:${match[1]}`, lineNumber)) {
+                        header.metadata[match[1]] = unescapeMetadata(match[2]);
+                    }
+                } else if (line.startsWith('LAYER:')) {
+                    if (pixelData) {
+                        report(lineNumber, 1, 'LAYER: lines must come before the first PIXELS: block');
+                        continue;
+                    }
+                    match = /^LAYER:([01])([01]):(.*)$/.exec(line);
+                    if (match) {
+                        layers.push(this.createLayer(match[3], match[1] === '1', match[2] === '1'));
+                    } else {
+                        report(lineNumber, 7, 'Malformed layer, expected LAYER:<visible 0/1><locked 0/1>:<name>');
+                        layers.push(this.createLayer(line.substring(line.lastIndexOf(':') + 1) || `Layer ${layers.length + 1}`));
+                    }
+                } else if (line.startsWith('FRAME:')) {
+                    match = /^FRAME:(\d+)$/.exec(line);
+                    const delay = match ? parseInt(match[1]) : 0;
+                    if (delay < 1) {
+                        report(lineNumber, 7, `Frame delay must be a positive number of ms, found "${line.substring(6)}"`);
+                    }
+                    newFrame(delay > 0 ? delay : DEFAULT_FRAME_DELAY, lineNumber);
+                    cel = null;
+                } else if (line.startsWith('CEL:')) {
+                    if (!frame) {
+                        newFrame(DEFAULT_FRAME_DELAY, lineNumber);
+                    }
+                    match = /^CEL:(\d+)$/.exec(line);
+                    const index = match ? parseInt(match[1]) : -1;
+                    const layerCount = Math.max(1, layers.length);
+                    cel = newCel();
+                    if (index < 0 || index >= layerCount) {
+                        report(lineNumber, 5, `Cel index "${line.substring(4)}" does not match any of the ${layerCount} layer(s)`);
+                    } else {
+                        if (frame.cels[index]) {
+                            report(lineNumber, 1, `Duplicate CEL:${index} in frame ${frames.length}`);
+                        }
+                        frame.cels[index] = cel;
+                    }
+                } else if (line === 'PIXELS:' || line === 'PIXELS:RLE') {
+                    const rle = line === 'PIXELS:RLE';
+                    if (rle && !seen.rle) seen.rle = lineNumber;
+                    if (!header.width) {
+                        report(lineNumber, 1, 'Missing SIZE: line before the first PIXELS: block');
+                        if (!lenient) throw new EHEXParseError(sortDiagnostics(diagnostics));
+                        // Work the size out from the block itself
+                        const rows = blockRows(i + 1, MAX_SIZE);
+                        while (rows.length > 0 && rows[rows.length - 1].trim() === '') rows.pop();
+                        if (rows.length === 0) {
+                            fatal(lineNumber, 1, 'Cannot work out the image size from an empty PIXELS: block');
+                        }
+                        header.width = Math.min(MAX_SIZE, Math.max(...rows.map(row => rowWidth(row, rle))));
+                        header.height = rows.length;
+                        this.width = header.width;
+                        this.height = header.height;
+                    }
+                    pixelData = true;
+
+                    // A PIXELS: block without its own FRAME:/CEL: line starts a new frame
+                    if (!cel || cel.pixels) {
+                        if (!frame || frame.cels.length > 0) {
+                            newFrame(DEFAULT_FRAME_DELAY, lineNumber);
+                        }
+                        cel = newCel();
+                        frame.cels[0] = cel;
+                    }
+                    const rows = blockRows(i + 1, this.height);
+                    if (rows.length < this.height) {
+                        report(lineNumber + rows.length + 1, 1, `PIXELS: block has ${rows.length} of ${this.height} rows`);
+                    }
+                    cel.pixels = this.parsePixels(rle ? expand(rows, lineNumber + 1, 1, isPixelUnit) : rows, lineNumber + 1, report);
+                    i += rows.length;
+                } else if ((match = /^(FOREGROUND|BACKGROUND):(RLE)?$/.exec(line))) {
+                    const key = match[1] === 'FOREGROUND' ? 'fg' : 'bg';
+                    const rle = Boolean(match[2]);
+                    if (rle && !seen.rle) seen.rle = lineNumber;
+                    if (!cel || !cel.pixels) {
+                        report(lineNumber, 1, `${line} block must follow a PIXELS: block`);
+                        if (!cel) {
+                            i += blockRows(i + 1, this.height).length;
+                            continue;
+                        }
+                    } else if (cel[key]) {
+                        report(lineNumber, 1, `Duplicate ${line} block for the same cel`);
+                    }
+                    if (header.version === 2 && !seen.colorsInV2) {
+                        seen.colorsInV2 = lineNumber;
+                        report(lineNumber, 1, `${line} blocks need V3, the file says V2`);
+                    }
+                    const rows = blockRows(i + 1, this.height);
+                    if (rows.length < this.height) {
+                        report(lineNumber + rows.length + 1, 1, `${line} block has ${rows.length} of ${this.height} rows`);
+                    }
+                    cel[key] = this.parseColors(rle ? expand(rows, lineNumber + 1, 2, isColorUnit) : rows, lineNumber + 1, report);
+                    i += rows.length;
+                } else {
+                    report(lineNumber, 1, `Unexpected line "${line.length > 20 ? line.substring(0, 20) + '...' : line}"`);
+                }
+            }
+
+            if (!seen.V) {
+                report(2, 1, 'Missing version line (V2 or V3)');
+            }
+            if (!header.width) {
+                fatal(lines.length, 1, 'Missing SIZE: line');
+            }
+            if (frames.length === 0) {
+                report(lines.length, 1, 'No PIXELS: block');
+            }
+            const layerCount = Math.max(1, layers.length);
+            frames.forEach((parsed, index) => {
+                for (let layer = 0; layer < layerCount; layer++) {
+                    if (!parsed.cels[layer] || !parsed.cels[layer].pixels) {
+                        report(parsed.line, 1, `Frame ${index + 1} has no pixels for layer ${layer + 1}`);
+                    }
+                }
+            });
+
+            sortDiagnostics(diagnostics);
+            if (diagnostics.length > 0 && !lenient) {
+                throw new EHEXParseError(diagnostics);
+            }
+        } catch (error) {
+            this.width = previous.width;
+            this.height = previous.height;
+            throw error;
+        }
+
+        // Everything below repairs what lenient mode let through
+        const hasColors = frames.some(parsed => parsed.cels.some(parsedCel => parsedCel && (parsedCel.fg || parsedCel.bg)));
+        this.version = hasColors ? 3 : header.version || 2;
+        this.chars = header.chars;
+        this.metadata = header.metadata;
+        this.transparent = header.transparent;
+        this.layers = layers.length > 0 ? layers : [this.createLayer('Background')];
+        for (const parsed of frames) {
+            for (let index = 0; index < this.layers.length; index++) {
+                const parsedCel = parsed.cels[index] || newCel();
+                parsedCel.pixels = parsedCel.pixels || this.createEmptyPixels();
+                parsedCel.fg = parsedCel.fg || this.createEmptyColors();
+                parsedCel.bg = parsedCel.bg || this.createEmptyColors();
+                parsed.cels[index] = parsedCel;
+            }
+            parsed.cels.length = this.layers.length;
+            delete parsed.line;
+        }
+        this.frames = frames.length > 0 ? frames : [this.createFrame()];
+        this.currentLayer = 0;
+        this.selectFrame(0);
+        this.upgradedFrom = null;
+        this.encoding = seen.rle ? 'rle' : 'text';
+        this.warnings = diagnostics;
+        return diagnostics;
+    }
+
+    // The binary container written by encodeBinary. Diagnostics carry byte offsets instead of
+    // lines; a bad checksum or trailing bytes can be let through in lenient mode, but
+    // anything that breaks the layout throws.
+    decodeBinary(data, options = {}) {
+        const lenient = Boolean(options.lenient);
+        const diagnostics = [];
+        const fail = (offset, message) => {
+            diagnostics.push({ offset, message });
+            throw new EHEXParseError(diagnostics);
+        };
+        if (data.length < BINARY_MAGIC.length + 4) {
+            fail(data.length, 'File is too short for an EHEX binary container');
+        }
+        const end = data.length - 4; // Start of the checksum
+        if (crc32(data, 0, end) !== data.readUInt32BE(end)) {
+            diagnostics.push({ offset: end, message: 'Checksum mismatch, the file is damaged' });
+            if (!lenient) throw new EHEXParseError(diagnostics);
+        }
+
+        let offset = BINARY_MAGIC.length;
+        const need = count => {
+            if (offset + count > end) {
+                fail(offset, `Unexpected end of data, ${count} more byte(s) needed`);
+            }
+        };
+        const number = size => {
+            need(size);
+            offset += size;
+            return data.readUIntBE(offset - size, size);
+        };
+        const text = () => {
+            const length = number(2);
+            need(length);
+            offset += length;
+            return data.toString('utf8', offset - length, offset);
+        };
+
+        const version = number(1);
+        if (version !== 2 && version !== 3) {
+            fail(offset - 1, `Unsupported EHEX version: ${version}`);
+        }
+        const width = number(2);
+        const height = number(2);
+        if (width < 1 || height < 1 || width > MAX_SIZE || height > MAX_SIZE) {
+            fail(offset - 4, `Size ${width}x${height} is outside 1x1 to ${MAX_SIZE}x${MAX_SIZE}`);
+        }
+        const transparent = number(1);
+        if (transparent > 15) {
+            fail(offset - 1, `Transparent index must be 0-15, found ${transparent}`);
+        }
+        const charsetOffset = offset;
+        const charset = text();
+        let chars = this.createDefaultCharset();
+        try {
+            chars = charset ? this.parseCharset(charset) : chars;
+        } catch (error) {
+            fail(charsetOffset, error.message);
+        }
+
+        const layers = [];
+        const layerCount = number(2);
+        if (layerCount < 1) {
+            fail(offset - 2, 'No layers');
+        }
+        for (let index = 0; index < layerCount; index++) {
+            const flags = number(1);
+            layers.push(this.createLayer(text(), (flags & 1) !== 0, (flags & 2) !== 0));
+        }
+
+        const cells = width * height;
+        const readPixels = () => {
+            const size = Math.ceil(cells / 2);
+            need(size);
+            const pixels = this.createEmptyPixels(width, height);
+            for (let n = 0; n < cells; n++) {
+                const byte = data[offset + (n >> 1)];
+                pixels[Math.floor(n / width)][n % width] = n & 1 ? byte & 0x0F : byte >> 4;
+            }
+            offset += size;
+            return pixels;
+        };
+        const readColors = () => {
+            const maskSize = Math.ceil(cells / 8);
+            need(maskSize);
+            const mask = offset;
+            offset += maskSize;
+            const colors = this.createEmptyColors(width, height);
+            for (let n = 0; n < cells; n++) {
+                if (data[mask + (n >> 3)] & (0x80 >> (n & 7))) {
+                    colors[Math.floor(n / width)][n % width] = number(1);
+                }
+            }
+            return colors;
+        };
+
+        const frames = [];
+        const frameCount = number(2);
+        if (frameCount < 1) {
+            fail(offset - 2, 'No frames');
+        }
+        for (let index = 0; index < frameCount; index++) {
+            let delay = number(4);
+            if (delay < 1) {
+                diagnostics.push({ offset: offset - 4, message: `Frame ${index + 1} has a zero delay` });
+                delay = DEFAULT_FRAME_DELAY;
+            }
+            const frame = { cels: [], delay };
+            for (let layer = 0; layer < layerCount; layer++) {
+                const pixels = readPixels();
+                const fg = version === 3 ? readColors() : this.createEmptyColors(width, height);
+                const bg = version === 3 ? readColors() : this.createEmptyColors(width, height);
+                frame.cels.push({ pixels, fg, bg });
+            }
+            frames.push(frame);
+        }
+        const metadata = {};
+        if (offset < end) {
+            const count = number(2);
+            for (let index = 0; index < count; index++) {
+                const keyOffset = offset;
+                const key = text();
+                const value = text();
+                if (!METADATA_KEY.test(key) || metadata[key] !== undefined) {
+                    diagnostics.push({ offset: keyOffset, message: `Bad or duplicate metadata key "${key}"` });
+                } else {
+                    metadata[key] = value;
+                }
+            }
+        }
+        if (offset < end) {
+            diagnostics.push({ offset, message: `${end - offset} unexpected byte(s) after the metadata` });
+        }
+        if (diagnostics.length > 0 && !lenient) {
+            throw new EHEXParseError(diagnostics);
+        }
+
+        this.version = version;
+        this.width = width;
+        this.height = height;
+        this.chars = chars;
+        this.transparent = transparent;
+        this.metadata = metadata;
+        this.layers = layers;
+        this.currentLayer = 0;
+        this.frames = frames;
+        this.selectFrame(0);
+        this.upgradedFrom = null;
+        this.encoding = 'binary';
+        this.warnings = diagnostics;
+        return diagnostics;
+    }
+
+    // Legacy v1 layout: "EHEX", an optional "V1" line, the size as SIZE:<w>x<h>, <w>x<h>
+    // or "<w> <h>", an optional PIXELS: line, then one hex digit per pixel with the default
+    // charset. The image is upgraded to v2 in memory; saving writes v2.
+    decodeV1(lines, lenient, diagnostics, report) {
+        let i = 1;
+        if (lines[i] === 'V1') {
+            i++;
+        }
+        const match = /^(?:SIZE:)?(\d+)(?:x| +)(\d+)$/.exec((lines[i] || '').trim());
+        const sizeLine = i + 1;
+        if (match) {
+            i++;
+        }
+        if (lines[i] === 'PIXELS:') {
+            i++;
+        }
+        const rows = lines.slice(i);
+        while (rows.length > 0 && rows[rows.length - 1].trim() === '') {
+            rows.pop();
+        }
+
+        let width = match ? parseInt(match[1]) : 0;
+        let height = match ? parseInt(match[2]) : 0;
+        if (!match) {
+            report(sizeLine, 1, 'Missing size line in EHEX v1 file');
+            if (rows.length === 0) {
+                throw new EHEXParseError(sortDiagnostics(diagnostics));
+            }
+            width = Math.max(...rows.map(row => row.length));
+            height = rows.length;
+        } else if (width < 1 || height < 1 || width > MAX_SIZE || height > MAX_SIZE) {
+            report(sizeLine, 1, `Size ${width}x${height} is outside 1x1 to ${MAX_SIZE}x${MAX_SIZE}`);
+        }
+        width = Math.max(1, Math.min(width, MAX_SIZE));
+        height = Math.max(1, Math.min(height, MAX_SIZE));
+        if (rows.length < height) {
+            report(i + rows.length + 1, 1, `File has ${rows.length} of ${height} pixel rows`);
+        } else if (rows.length > height) {
+            report(i + height + 1, 1, `Unexpected data after the last of ${height} pixel rows`);
+        }
+
+        const previous = { width: this.width, height: this.height };
+        this.width = width;
+        this.height = height;
+        const pixels = this.parsePixels(rows, i + 1, report);
+        sortDiagnostics(diagnostics);
+        if (diagnostics.length > 0 && !lenient) {
+            this.width = previous.width;
+            this.height = previous.height;
+            throw new EHEXParseError(diagnostics);
+        }
+
+        this.version = 2;
+        this.chars = this.createDefaultCharset();
+        this.transparent = 0;
+        this.metadata = {};
+        this.layers = [this.createLayer('Background')];
+        this.currentLayer = 0;
+        this.frames = [this.createFrame()];
+        this.frames[0].cels[0].pixels = pixels;
+        this.selectFrame(0);
+        this.upgradedFrom = 1;
+        this.encoding = 'text';
+        this.warnings = diagnostics;
+        return diagnostics;
+    }
+
+    // rows are the text lines of a block, firstLine the file line number of rows[0].
+    // Bad digits and wrong row lengths are reported and read as blank.
+    parsePixels(rows, firstLine, report) {
+        const pixels = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = new Uint8Array(this.width);
+            const text = rows[y];
+            if (text !== undefined) {
+                if (text.length !== this.width) {
+                    report(firstLine + y, Math.min(text.length, this.width) + 1,
+                        `Row has ${text.length} pixels, expected ${this.width}`);
+                }
+                const length = Math.min(text.length, this.width);
+                for (let x = 0; x < length; x++) {
+                    const value = HEX_VALUES[text.charCodeAt(x)];
+                    if (value === undefined) {
+                        report(firstLine + y, x + 1, `Bad pixel digit "${text[x]}"`);
+                    } else {
+                        row[x] = value;
+                    }
+                }
+            }
+            pixels.push(row);
+        }
+        return pixels;
+    }
+
+    // Two hex digits per pixel, "--" for the default color
+    parseColors(rows, firstLine, report) {
+        const colors = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = new Int16Array(this.width).fill(-1);
+            const text = rows[y];
+            if (text !== undefined) {
+                if (text.length !== this.width * 2) {
+                    report(firstLine + y, Math.min(text.length, this.width * 2) + 1,
+                        `Row has ${text.length} digits, expected ${this.width * 2} (two per pixel)`);
+                }
+                const length = Math.min(Math.floor(text.length / 2), this.width);
+                for (let x = 0; x < length; x++) {
+                    const high = HEX_VALUES[text.charCodeAt(x * 2)];
+                    const low = HEX_VALUES[text.charCodeAt(x * 2 + 1)];
+                    if (high !== undefined && low !== undefined) {
+                        row[x] = high * 16 + low;
+                    } else if (text.substr(x * 2, 2) !== '--') {
+                        report(firstLine + y, x * 2 + 1, `Bad color "${text.substr(x * 2, 2)}", expected two hex digits or --`);
+                    }
+                }
+            }
+            colors.push(row);
+        }
+        return colors;
+    }
+
+    // Deep copy of the image state, used by the editor history
+    snapshot() {
+        return {
+            width: this.width,
+            height: this.height,
+            chars: this.chars.slice(),
+            transparent: this.transparent,
+            metadata: Object.assign({}, this.metadata),
+            layers: this.layers.map(layer => Object.assign({}, layer)),
+            frames: this.frames.map(frame => this.cloneFrame(frame)),
+            currentFrame: this.currentFrame,
+            currentLayer: this.currentLayer
+        };
+    }
+
+    restore(state) {
+        this.width = state.width;
+        this.height = state.height;
+        this.chars = state.chars.slice();
+        this.transparent = state.transparent;
+        this.metadata = Object.assign({}, state.metadata);
+        this.layers = state.layers.map(layer => Object.assign({}, layer));
+        this.frames = state.frames.map(frame => this.cloneFrame(frame));
+        this.currentLayer = state.currentLayer;
+        this.selectFrame(state.currentFrame);
+    }
+
+    // Change the canvas size without scaling the content. The anchor (one of ANCHORS)
+    // is the part of the image that stays in place while the opposite edges grow or shrink.
+    resize(newWidth, newHeight, anchor = 'top-left') {
+        const index = ANCHORS.indexOf(anchor);
+        if (index < 0) {
+            throw new Error(`Unknown anchor: ${anchor}`);
+        }
+
+        // Apply limits
+        newWidth = Math.min(newWidth, MAX_SIZE);
+        newHeight = Math.min(newHeight, MAX_SIZE);
+
+        const offsetX = Math.trunc((newWidth - this.width) * (index % 3) / 2);
+        const offsetY = Math.trunc((newHeight - this.height) * Math.floor(index / 3) / 2);
+        this.crop(-offsetX, -offsetY, newWidth, newHeight);
+    }
+
+    // Keep the rectangle at (x, y); any part of it outside the image comes out blank
+    crop(x, y, width, height) {
+        for (const frame of this.frames) {
+            for (const cel of frame.cels) {
+                cel.pixels = this.cropGrid(cel.pixels, x, y, width, height, this.transparent);
+                cel.fg = this.cropGrid(cel.fg, x, y, width, height, -1);
+                cel.bg = this.cropGrid(cel.bg, x, y, width, height, -1);
+            }
+        }
+        this.width = width;
+        this.height = height;
+        this.selectFrame(this.currentFrame);
+    }
+
+    cropGrid(grid, x, y, width, height, fill) {
+        const RowType = grid[0].constructor;
+        const left = Math.max(0, x);
+        const right = Math.min(this.width, x + width);
+        const newGrid = [];
+        for (let row = 0; row < height; row++) {
+            const newRow = new RowType(width).fill(fill);
+            const source = grid[y + row];
+            if (source && right > left) {
+                newRow.set(source.subarray(left, right), left - x);
+            }
+            newGrid.push(newRow);
+        }
+        return newGrid;
+    }
+
+    // Smallest rectangle holding every opaque cell of every frame and layer, null when blank
+    contentBounds() {
+        let left = this.width;
+        let top = this.height;
+        let right = -1;
+        let bottom = -1;
+        for (const frame of this.frames) {
+            for (const cel of frame.cels) {
+                for (let y = 0; y < this.height; y++) {
+                    for (let x = 0; x < this.width; x++) {
+                        if (!this.isOpaque(cel, x, y)) continue;
+                        left = Math.min(left, x);
+                        right = Math.max(right, x);
+                        top = Math.min(top, y);
+                        bottom = Math.max(bottom, y);
+                    }
+                }
+            }
+        }
+        if (right < 0) return null;
+        return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+    }
+
+    // Cut away the blank border; returns the kept rectangle, or null if there is no content
+    trim() {
+        const bounds = this.contentBounds();
+        if (bounds) {
+            this.crop(bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+        return bounds;
+    }
+
+    // Resample the content to a new size. 'nearest' takes the source cell under each
+    // target cell's center; 'average' reads char indices as density (the charset runs
+    // from light to dense), averages them over the covered source cells and keeps the
+    // most common colors.
+    scale(newWidth, newHeight, method = 'nearest') {
+        if (method !== 'nearest' && method !== 'average') {
+            throw new Error(`Unknown scaling method: ${method}`);
+        }
+        newWidth = Math.min(newWidth, MAX_SIZE);
+        newHeight = Math.min(newHeight, MAX_SIZE);
+
+        const scaleX = this.width / newWidth;
+        const scaleY = this.height / newHeight;
+        for (const frame of this.frames) {
+            frame.cels = frame.cels.map(cel => {
+                const scaled = {
+                    pixels: this.createEmptyPixels(newWidth, newHeight),
+                    fg: this.createEmptyColors(newWidth, newHeight),
+                    bg: this.createEmptyColors(newWidth, newHeight)
+                };
+                for (let y = 0; y < newHeight; y++) {
+                    for (let x = 0; x < newWidth; x++) {
+                        if (method === 'nearest') {
+                            const sx = Math.floor((x + 0.5) * scaleX);
+                            const sy = Math.floor((y + 0.5) * scaleY);
+                            scaled.pixels[y][x] = cel.pixels[sy][sx];
+                            scaled.fg[y][x] = cel.fg[sy][sx];
+                            scaled.bg[y][x] = cel.bg[sy][sx];
+                            continue;
+                        }
+                        const left = Math.floor(x * scaleX);
+                        const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+                        const top = Math.floor(y * scaleY);
+                        const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+                        const fg = [];
+                        const bg = [];
+                        let density = 0;
+                        for (let sy = top; sy < bottom; sy++) {
+                            for (let sx = left; sx < right; sx++) {
+                                density += cel.pixels[sy][sx];
+                                fg.push(cel.fg[sy][sx]);
+                                bg.push(cel.bg[sy][sx]);
+                            }
+                        }
+                        scaled.pixels[y][x] = Math.round(density / fg.length);
+                        scaled.fg[y][x] = mostCommon(fg);
+                        scaled.bg[y][x] = mostCommon(bg);
+                    }
+                }
+                return scaled;
+            });
+        }
+        this.width = newWidth;
+        this.height = newHeight;
+        this.selectFrame(this.currentFrame);
+    }
+
+    // Apply a grid transform to every cel of every frame
+    transformCels(transform) {
+        for (const frame of this.frames) {
+            for (const cel of frame.cels) {
+                cel.pixels = transform(cel.pixels);
+                cel.fg = transform(cel.fg);
+                cel.bg = transform(cel.bg);
+            }
+        }
+    }
+
+    flipHorizontal() {
+        this.transformCels(grid => grid.map(row => row.slice().reverse()));
+        this.selectCel();
+    }
+
+    flipVertical() {
+        this.transformCels(grid => grid.slice().reverse().map(row => row.slice()));
+        this.selectCel();
+    }
+
+    // Rotate by 90 degrees; width and height swap
+    rotate(clockwise = true) {
+        const width = this.width;
+        const height = this.height;
+        this.transformCels(grid => {
+            const rotated = [];
+            for (let y = 0; y < width; y++) {
+                const row = new grid[0].constructor(height);
+                for (let x = 0; x < height; x++) {
+                    row[x] = clockwise ? grid[height - 1 - x][y] : grid[x][width - 1 - y];
+                }
+                rotated.push(row);
+            }
+            return rotated;
+        });
+        this.width = height;
+        this.height = width;
+        this.selectCel();
+    }
+
+    // Copy a rectangle of the current frame and layer into a new single-layer image
+    copyRegion(x, y, width, height) {
+        const clip = new EHEXImage(width, height);
+        clip.chars = this.chars.slice();
+        clip.transparent = this.transparent;
+        for (let dy = 0; dy < height; dy++) {
+            for (let dx = 0; dx < width; dx++) {
+                clip.setCell(dx, dy, this.getCell(x + dx, y + dy));
+            }
+        }
+        return clip;
+    }
+
+    clearRegion(x, y, width, height) {
+        for (let dy = 0; dy < height; dy++) {
+            for (let dx = 0; dx < width; dx++) {
+                this.setCell(x + dx, y + dy, { char: this.transparent, fg: -1, bg: -1 });
+            }
+        }
+    }
+
+    // Stamp another image's current cel at (x, y); transparent cells are skipped unless opaque is set
+    pasteImage(clip, x, y, opaque = false) {
+        for (let dy = 0; dy < clip.height; dy++) {
+            for (let dx = 0; dx < clip.width; dx++) {
+                const cell = clip.getCell(dx, dy);
+                if (opaque || cell.char !== clip.transparent || cell.bg !== -1) {
+                    this.setCell(x + dx, y + dy, cell);
+                }
+            }
+        }
+    }
+
+    // Deprecated, use loadSync of files.js. Returns the warnings of a lenient load.
+    load(filename, options = {}) {
+        return this.decode(require('./files.js').readBytesSync(filename), options);
+    }
+
+    // Deprecated, use saveSync of files.js. An explicit encoding is kept for the next save.
+    save(filename, version, encoding) {
+        require('./files.js').saveSync(this, filename, { version, encoding });
+        if (encoding !== undefined) {
+            this.encoding = encoding;
+        }
+    }
+
+    // Replace the image with a PNG, BMP or Netpbm bitmap mapped to char density. data is the
+    // file's bytes; a file name still works but is deprecated.
+    // Options are those of rasterToIndices in raster.js (width, height, dither, invert...).
+    importRaster(data, options = {}) {
+        if (typeof data === 'string') {
+            data = require('./files.js').readBytesSync(data);
+        }
+        const { decodeRaster, rasterToIndices } = require('./raster.js');
+        const raster = decodeRaster(data);
+        const mapped = rasterToIndices(raster, Object.assign({ maxSize: MAX_SIZE }, options));
+        this.width = mapped.width;
+        this.height = mapped.height;
+        this.chars = this.createDefaultCharset(); // The mapping relies on its sparse-to-dense order
+        this.transparent = 0;
+        this.metadata = {};
+        this.layers = [this.createLayer('Background')];
+        this.currentLayer = 0;
+        this.frames = [this.createFrame()];
+        this.frames[0].cels[0].pixels = mapped.rows;
+        this.selectFrame(0);
+    }
+}
+
+// Helpers for code that treats images as values. None of them changes the image it is given.
+
+// data is the text of a file or its bytes, data and options as for decode.
+// The warnings of a lenient parse are kept in image.warnings.
+function parse(data, options = {}) {
+    const image = new EHEXImage(1, 1);
+    image.decode(data, options);
+    return image;
+}
+
+// options: version and encoding, defaulting as in encode. Text for the text encodings, a Buffer for binary.
+function serialize(image, options = {}) {
+    return image.encode(options.version, options.encoding);
+}
+
+// Deep copy, including how the image was read (version, encoding, warnings)
+function clone(image) {
+    const copy = new EHEXImage(1, 1);
+    copy.restore(image.snapshot());
+    copy.version = image.version;
+    copy.encoding = image.encoding;
+    copy.upgradedFrom = image.upgradedFrom;
+    copy.warnings = image.warnings.slice();
+    return copy;
+}
+
+// Copy-on-write edit: change(copy) may modify the copy as it likes, the result is the copy
+function update(image, change) {
+    const copy = clone(image);
+    change(copy);
+    return copy;
+}
+
+module.exports = {
+    EHEXImage,
+    EHEXParseError,
+    formatDiagnostic,
+    parse,
+    serialize,
+    clone,
+    update,
+    MAX_SIZE,
+    ANCHORS,
+    ENCODINGS,
+    METADATA_KEYS,
+    DEFAULT_FRAME_DELAY
+};
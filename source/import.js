@@ -0,0 +1,63 @@
+// import.js - Convert PNG, BMP and Netpbm bitmaps to EHEX from the command line
+const fs = require('fs');
+const path = require('path');
+const { EHEXImage } = require('./image.js');
+const { saveSync } = require('./files.js');
+const { DITHERS } = require('./raster.js');
+
+const USAGE = `Usage: node source/import.js <input> [output.ehex] [options]
+
+Options:
+  --width N       Width in cells (default: bitmap width, at most 80)
+  --height N      Height in cells (default: follows the width and cell aspect)
+  --aspect N      Height/width ratio of a terminal cell (default: 2)
+  --dither MODE   ${DITHERS.join(', ')} (default: none)
+  --invert        Dark pixels on dense chars, for light backgrounds`;
+
+function parseArgs(args) {
+    const options = {};
+    const files = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--invert') {
+            options.invert = true;
+        } else if (arg === '--dither') {
+            options.dither = args[++i];
+        } else if (arg === '--width' || arg === '--height' || arg === '--aspect') {
+            const value = parseFloat(args[++i]);
+            if (!(value > 0)) {
+                throw new Error(`${arg} needs a positive number`);
+            }
+            const key = { '--width': 'width', '--height': 'height', '--aspect': 'cellAspect' }[arg];
+            options[key] = key === 'cellAspect' ? value : Math.round(value);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            files.push(arg);
+        }
+    }
+    return { files, options };
+}
+
+// Main execution
+if (require.main === module) {
+    try {
+        const { files, options } = parseArgs(process.argv.slice(2));
+        if (files.length === 0 || files.length > 2) {
+            console.log(USAGE);
+            process.exit(files.length === 0 ? 0 : 1);
+        }
+
+        const input = files[0];
+        const output = files[1] || path.join(path.dirname(input), path.parse(input).name + '.ehex');
+        const image = new EHEXImage();
+        image.importRaster(fs.readFileSync(input), options);
+        saveSync(image, output);
+        console.log(`Imported ${input} -> ${output} (${image.width}x${image.height})`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,29 @@
+// index.js - The EpicHEX library, the package's main module
+// The image format and file access without any terminal UI, so requiring it never loads blessed.
+// The editor, viewer and command-line tools are built on the same modules.
+const {
+    EHEXImage, EHEXParseError, formatDiagnostic, parse, serialize, clone, update,
+    MAX_SIZE, ANCHORS, ENCODINGS, METADATA_KEYS, DEFAULT_FRAME_DELAY
+} = require('./image.js');
+const { load, save, loadSync, saveSync, fromStream, toStream } = require('./files.js');
+
+module.exports = {
+    EHEXImage,
+    EHEXParseError,
+    formatDiagnostic,
+    parse,
+    serialize,
+    clone,
+    update,
+    load,
+    save,
+    loadSync,
+    saveSync,
+    fromStream,
+    toStream,
+    MAX_SIZE,
+    ANCHORS,
+    ENCODINGS,
+    METADATA_KEYS,
+    DEFAULT_FRAME_DELAY
+};
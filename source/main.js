@@ -2,142 +2,20 @@
 const blessed = require('blessed');
 const fs = require('fs');
 const path = require('path');
+const { EHEXImage, MAX_SIZE, ANCHORS, ENCODINGS, METADATA_KEYS, formatDiagnostic } = require('./image.js');
+const { loadSync, saveSync } = require('./files.js');
+const { EditHistory } = require('./history.js');
+const { formatCells, renderMinimap } = require('./render.js');
+const {
+    TOOLS, BRUSH_SHAPES, MAX_BRUSH_SIZE, SYMMETRY_MODES,
+    linePoints, brushPoints, sprayChar, symmetryPoints, shapePoints, floodFillPoints
+} = require('./tools.js');
+const { EXPORTERS, exportImage } = require('./exporters.js');
+const { FileBrowser } = require('./filebrowser.js');
+const { Recovery, AUTOSAVE_INTERVAL } = require('./recovery.js');
+const { loadFont, listFonts, textPoints } = require('./fonts.js');
 
-// EHEX v2 Image Format Implementation
-class EHEXImage {
-    constructor(width = 20, height = 10) {
-        this.magic = 'EHEX2';
-        this.version = 2;
-        this.width = Math.min(width, 150);
-        this.height = Math.min(height, 25);
-        this.chars = this.createDefaultCharset();
-        this.pixels = this.createEmptyPixels();
-    }
-
-    createDefaultCharset() {
-        // Characters from simple to complex
-        return [' ', '.', ':', '-', '=', '+', '*', '#', '%', '&', '$', '@', 'Q', 'W', 'M', '█'];
-    }
-
-    createEmptyPixels() {
-        const pixels = [];
-        for (let y = 0; y < this.height; y++) {
-            const row = [];
-            for (let x = 0; x < this.width; x++) {
-                row.push(0); // Default to space character
-            }
-            pixels.push(row);
-        }
-        return pixels;
-    }
-
-    setPixel(x, y, charIndex) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            this.pixels[y][x] = charIndex;
-        }
-    }
-
-    getPixel(x, y) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            return this.pixels[y][x];
-        }
-        return 0;
-    }
-
-    encode() {
-        let data = `${this.magic}\n`;
-        data += `V${this.version}\n`;
-        data += `SIZE:${this.width}x${this.height}\n`;
-        data += 'PIXELS:\n';
-
-        for (let y = 0; y < this.height; y++) {
-            let rowData = '';
-            for (let x = 0; x < this.width; x++) {
-                // Each pixel: char (1 hex digit)
-                rowData += this.pixels[y][x].toString(16);
-            }
-            data += rowData + '\n';
-        }
-
-        return data;
-    }
-
-    decode(data) {
-        const lines = data.split('\n');
-        const magic = lines[0];
-        
-        if (magic !== 'EHEX2' && magic !== 'EHEX') {
-            throw new Error('Invalid EHEX file');
-        }
-
-        if (magic === 'EHEX') {
-            throw new Error('EHEX v1 files are not supported. Please convert to v2 format.');
-        }
-
-        // Parse header for v2
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i];
-            if (line.startsWith('V')) {
-                const version = parseInt(line.substring(1));
-                if (version !== 2) {
-                    throw new Error(`Unsupported EHEX version: ${version}`);
-                }
-            } else if (line.startsWith('SIZE:')) {
-                const size = line.substring(5).split('x');
-                this.width = parseInt(size[0]);
-                this.height = parseInt(size[1]);
-            } else if (line === 'PIXELS:') {
-                this.parsePixels(lines.slice(i + 1));
-                break;
-            }
-        }
-    }
-
-    parsePixels(pixelLines) {
-        this.pixels = [];
-        for (let y = 0; y < this.height; y++) {
-            const row = [];
-            const line = pixelLines[y];
-            for (let x = 0; x < this.width; x++) {
-                const charIndex = parseInt(line[x], 16);
-                row.push(charIndex);
-            }
-            this.pixels.push(row);
-        }
-    }
-
-    resize(newWidth, newHeight) {
-        // Apply limits
-        newWidth = Math.min(newWidth, 150);
-        newHeight = Math.min(newHeight, 25);
-        
-        const newPixels = [];
-        for (let y = 0; y < newHeight; y++) {
-            const row = [];
-            for (let x = 0; x < newWidth; x++) {
-                if (y < this.height && x < this.width) {
-                    row.push(this.pixels[y][x]);
-                } else {
-                    row.push(0); // Fill with space
-                }
-            }
-            newPixels.push(row);
-        }
-        this.pixels = newPixels;
-        this.width = newWidth;
-        this.height = newHeight;
-    }
-
-    save(filename) {
-        const data = this.encode();
-        fs.writeFileSync(filename, data);
-    }
-
-    load(filename) {
-        const data = fs.readFileSync(filename, 'utf8');
-        this.decode(data);
-    }
-}
+const SPRAY_DENSITY = 0.2; // Share of the brush cells a spray dab paints
 
 // Terminal-based Image Viewer and Painter
 class EHEXApp {
@@ -148,15 +26,60 @@ class EHEXApp {
         });
 
         this.currentImage = new EHEXImage(20, 10);
+        this.history = new EditHistory();
+        this.formatRevision = -1; // History revision the cached format version belongs to
+        this.formatVersion = 2;
         this.filename = filename;
+        this.loadNotice = null; // Repairs or format upgrade the user should hear about after a load
         this.currentChar = 1; // Start with dot
+        this.eraseChar = 0; // Painted by the right mouse button
+        this.currentFg = -1; // -1 = terminal default color
+        this.currentBg = -1;
         this.brushSize = 1;
+        this.brushShape = 'square'; // One of BRUSH_SHAPES; 'stamp' paints the shape of the clipboard
+        this.tool = 'brush';
+        this.anchor = null; // First corner of a line/rectangle/ellipse in progress
+        this.fillConnectivity = 4;
+        this.symmetry = 'off'; // One of SYMMETRY_MODES
+        this.symmetryCenter = null; // { x, y } set with Shift+H, null = middle of the image
+        this.tiling = false; // Painting off one edge continues at the opposite one
+        this.selection = null; // { x, y, width, height }
+        this.clipboard = null; // EHEXImage holding copied cells
+        this.floating = null; // { clip, x, y } pasted or lifted cells not yet placed
+        this.dragging = null;
         this.cursorX = 0;
         this.cursorY = 0;
+        this.viewX = 0; // Top-left image cell shown in the canvas
+        this.viewY = 0;
         this.showResizePanel = false;
         this.resizeWidth = 20;
         this.resizeHeight = 10;
-        this.resizeStep = 'width'; // 'width' or 'height'
+        this.resizeStep = 'width'; // 'width', 'height', 'mode' or 'anchor'
+        this.resizeMode = 'keep'; // 'keep' pads/crops, 'nearest' or 'average' scale the content
+        this.resizeAnchor = 'top-left';
+        this.showPalettePanel = false;
+        this.paletteSlot = 0;
+        this.paletteStep = 'slot'; // 'slot' or 'glyph'
+        this.showColorPanel = false;
+        this.colorStep = 'fg'; // 'fg' or 'bg'
+        this.showFramePanel = false;
+        this.onionSkin = false;
+        this.showLayerNamePanel = false;
+        this.showImportPanel = false;
+        this.importStep = 'file'; // 'file', 'width' or 'dither'
+        this.importFile = null;
+        this.importWidth = 0;
+        this.showExportPanel = false;
+        this.showMetadataPanel = false;
+        this.typing = null; // { startX } while the text tool types into the image
+        this.showBannerPanel = false;
+        this.bannerStep = 'font'; // 'font' or 'text'
+        this.bannerFontName = 'block';
+        this.bannerFont = null;
+        this.choice = null; // { answers, callback } while askChoice waits for a key
+        this.recovery = new Recovery();
+        this.autosaveRevision = -1; // History revision of the last autosave
+        this.autosaveTimer = null;
 
         this.initUI();
         this.bindEvents();
@@ -164,6 +87,7 @@ class EHEXApp {
         // Load file if provided via command line
         if (this.filename && fs.existsSync(this.filename)) {
             this.loadImage(this.filename);
+            this.history.clear();
         }
     }
 
@@ -183,7 +107,20 @@ class EHEXApp {
             height: 3,
             border: { type: 'line' },
             style: { border: { fg: 'cyan' } },
-            content: ' EpicHEX Editor v1.1 | F1 - New S - Save L - Load C - Char B - Brush R - Resize F10 - Quit | Made by ColorProgrammy '
+            content: ' EpicHEX Editor v1.1 | F1 - New S - Save W - Save As L - Open I - Import C/0-9/Alt+A-F - Char O - Color B/Shift+B/U - Brush G - Tool H/Shift+H - Mirror Shift+W - Tiling Y/X/Shift+P - Copy/Cut/Paste R - Resize P - Palette [/] - Frames N - Layers ^Z/^Y - Undo/Redo F10 - Quit | Made by ColorProgrammy '
+        });
+
+        // Char palette sidebar, outside the layout so it stays at the right edge
+        this.charPanel = blessed.box({
+            parent: this.screen,
+            top: 3,
+            right: 0,
+            width: 14,
+            height: 24,
+            tags: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'cyan' } },
+            content: 'Chars:'
         });
 
         // Canvas area with green border
@@ -202,6 +139,7 @@ class EHEXApp {
             left: 1,
             width: this.currentImage.width,
             height: this.currentImage.height,
+            tags: true,
             content: ''
         });
 
@@ -215,6 +153,27 @@ class EHEXApp {
             content: 'Info:\n\nSize: 20x10\nFormat: EHEX v2\n\nDrag .ehex files here'
         });
 
+        // Minimap at the bottom of the info panel
+        this.minimap = blessed.box({
+            parent: this.infoPanel,
+            bottom: 0,
+            left: 0,
+            width: 28,
+            height: 8,
+            tags: true,
+            content: ''
+        });
+
+        // Layer panel
+        this.layerPanel = blessed.box({
+            parent: this.layout,
+            width: 34,
+            height: '80%',
+            border: { type: 'line' },
+            style: { border: { fg: 'cyan' } },
+            content: 'Layers:'
+        });
+
         // Status bar
         this.statusBar = blessed.box({
             parent: this.layout,
@@ -230,57 +189,347 @@ class EHEXApp {
             parent: this.screen,
             top: 'center',
             left: 'center',
-            width: 40,
-            height: 8,
+            width: 52,
+            height: 10,
             hidden: true,
             border: { type: 'line' },
             style: { border: { fg: 'blue' } },
-            content: ' Resize Canvas - Enter Width (1-150): '
+            content: ` Resize Canvas - Enter Width (1-${MAX_SIZE}): `
         });
 
         this.resizeInput = blessed.textbox({
             parent: this.resizePanel,
+            top: 6,
+            left: 2,
+            width: 48,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Palette editor panel (hidden by default)
+        this.palettePanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 44,
+            height: 12,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ''
+        });
+
+        this.paletteInput = blessed.textbox({
+            parent: this.palettePanel,
+            top: 8,
+            left: 2,
+            width: 38,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Color picker panel (hidden by default)
+        this.colorPanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 52,
+            height: 10,
+            hidden: true,
+            tags: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ''
+        });
+
+        this.colorInput = blessed.textbox({
+            parent: this.colorPanel,
+            top: 6,
+            left: 2,
+            width: 46,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Frame delay panel (hidden by default)
+        this.framePanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 40,
+            height: 8,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ' Frame Delay - Enter milliseconds: '
+        });
+
+        this.frameInput = blessed.textbox({
+            parent: this.framePanel,
+            top: 3,
+            left: 2,
+            width: 36,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Layer rename panel (hidden by default)
+        this.layerNamePanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 40,
+            height: 8,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ' Rename Layer - Enter name: '
+        });
+
+        this.layerNameInput = blessed.textbox({
+            parent: this.layerNamePanel,
             top: 3,
             left: 2,
             width: 36,
             height: 1,
             inputOnFocus: true
         });
+
+        // Bitmap import panel (hidden by default)
+        this.importPanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 56,
+            height: 8,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ' Import Bitmap - Enter PNG/BMP/PPM/PGM file: '
+        });
+
+        this.importInput = blessed.textbox({
+            parent: this.importPanel,
+            top: 4,
+            left: 2,
+            width: 52,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Banner text panel (hidden by default)
+        this.bannerPanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 56,
+            height: 9,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ''
+        });
+
+        this.bannerInput = blessed.textbox({
+            parent: this.bannerPanel,
+            top: 5,
+            left: 2,
+            width: 52,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Export menu (hidden by default)
+        this.exportPanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 44,
+            height: 12,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ''
+        });
+
+        this.exportInput = blessed.textbox({
+            parent: this.exportPanel,
+            top: 8,
+            left: 2,
+            width: 38,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Metadata editor (hidden by default)
+        this.metadataPanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 64,
+            height: 17,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ''
+        });
+
+        this.metadataInput = blessed.textbox({
+            parent: this.metadataPanel,
+            top: 14,
+            left: 2,
+            width: 58,
+            height: 1,
+            inputOnFocus: true
+        });
+
+        // Open and Save As dialog
+        this.fileBrowser = new FileBrowser(this.screen);
+
+        // Yes/no style questions (unsaved changes, autosave recovery)
+        this.choicePanel = blessed.box({
+            parent: this.screen,
+            top: 'center',
+            left: 'center',
+            width: 64,
+            height: 7,
+            hidden: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'yellow' } },
+            content: ''
+        });
     }
 
     bindEvents() {
         // Keyboard events with new hotkeys
-        this.screen.key(['C-c', 'f10'], () => {
-            this.screen.destroy();
-            process.exit(0);
-        });
+        this.screen.key(['C-c', 'f10'], () => this.confirmDiscard('Quit', () => this.quit()));
         
         this.screen.key(['q'], () => {
             // Don't quit on Q, only on F10 or Ctrl+C
         });
         
-        this.screen.key(['f1'], () => this.newImage());
+        this.screen.key(['f1'], () => this.confirmDiscard('New image', () => this.newImage()));
         this.screen.key(['s'], () => this.saveImage());
-        this.screen.key(['l'], () => this.loadImage());
+        this.screen.key(['w'], () => this.showSaveAsDialog());
+        this.screen.key(['S-s'], () => this.cycleEncoding());
+        this.screen.key(['l'], () => this.confirmDiscard('Open', () => this.showOpenDialog()));
+        this.screen.key(['i'], () => this.confirmDiscard('Import', () => this.showImportDialog()));
         this.screen.key(['c'], () => this.changeChar());
-        this.screen.key(['b'], () => this.changeBrushSize());
+        // Hex keys pick a char slot: 0-9 directly, A-F with Alt because the letters are hotkeys
+        for (let slot = 0; slot < 16; slot++) {
+            const digit = slot.toString(16);
+            this.screen.key(slot < 10 ? [digit, `M-${digit}`] : [`M-${digit}`], () => this.selectChar(slot));
+        }
+        this.screen.key(['o'], () => this.showColorDialog());
+        this.screen.key(['b'], () => this.changeBrushSize(1));
+        this.screen.key(['S-b'], () => this.changeBrushSize(-1));
+        this.screen.key(['u'], () => this.changeBrushShape());
+        this.screen.key(['g'], () => this.changeTool());
+        this.screen.key(['S-g'], () => this.toggleFillConnectivity());
+        this.screen.key(['h'], () => this.cycleSymmetry());
+        this.screen.key(['S-h'], () => this.setSymmetryCenter());
+        this.screen.key(['S-w'], () => this.toggleTiling());
+        this.screen.key(['escape'], () => this.cancelShape());
+        this.screen.key(['y'], () => this.copySelection());
+        this.screen.key(['x'], () => this.cutSelection());
+        this.screen.key(['S-p'], () => this.pasteClipboard());
+        this.screen.key(['S-m'], () => this.liftSelection());
+        this.screen.key(['enter'], () => this.placeFloating());
+        this.screen.key(['f'], () => this.transformSelection('flipHorizontal'));
+        this.screen.key(['j'], () => this.transformSelection('flipVertical'));
+        this.screen.key(['S-r'], () => this.transformSelection('rotate'));
         this.screen.key(['r'], () => this.showResizeDialog());
+        this.screen.key(['S-c'], () => this.cropImage());
+        this.screen.key(['p'], () => this.showPaletteDialog());
+        this.screen.key(['['], () => this.stepFrame(-1));
+        this.screen.key([']'], () => this.stepFrame(1));
+        this.screen.key(['a'], () => this.addFrame());
+        this.screen.key(['d'], () => this.duplicateFrame());
+        this.screen.key(['delete'], () => this.deleteFrame());
+        this.screen.key(['{'], () => this.moveFrame(-1));
+        this.screen.key(['}'], () => this.moveFrame(1));
+        this.screen.key(['t'], () => this.showFrameDialog());
+        this.screen.key(['k'], () => this.toggleOnionSkin());
+        this.screen.key(['n'], () => this.addLayer());
+        this.screen.key(['S-n'], () => this.deleteLayer());
+        this.screen.key(['pageup'], () => this.stepLayer(1));
+        this.screen.key(['pagedown'], () => this.stepLayer(-1));
+        this.screen.key(['>'], () => this.moveLayer(1));
+        this.screen.key(['<'], () => this.moveLayer(-1));
+        this.screen.key(['v'], () => this.toggleLayerVisible());
+        this.screen.key(['S-l'], () => this.toggleLayerLocked());
+        this.screen.key(['m'], () => this.showLayerNameDialog());
+        this.screen.key(['S-f'], () => this.flattenLayers());
+        this.screen.key(['S-t'], () => this.setTransparentChar());
+        this.screen.key(['e'], () => this.showExportDialog());
+        this.screen.key(['S-i'], () => this.showMetadataDialog());
+        this.screen.key(['C-z'], () => this.undo());
+        this.screen.key(['C-y'], () => this.redo());
 
         // Mouse events for painting
         this.canvasBox.on('click', (data) => {
             this.handleCanvasClick(data);
         });
+        this.canvasBox.on('mousedown', (data) => this.handleCanvasMouseDown(data));
+        this.canvasBox.on('mousemove', (data) => this.handleCanvasMouseMove(data));
+        this.screen.on('mouse', (data) => {
+            if (data.action === 'mouseup') this.handleCanvasMouseUp();
+        });
+        this.layerPanel.on('click', (data) => this.handleLayerClick(data));
+        this.charPanel.on('click', (data) => this.handleCharPanelClick(data));
+        this.screen.on('resize', () => {
+            this.updateDisplay();
+            this.updateInfo();
+        });
 
         // Cursor movement
         this.screen.key(['up'], () => this.moveCursor(0, -1));
         this.screen.key(['down'], () => this.moveCursor(0, 1));
         this.screen.key(['left'], () => this.moveCursor(-1, 0));
         this.screen.key(['right'], () => this.moveCursor(1, 0));
-        this.screen.key(['space'], () => this.paintAtCursor());
+        this.screen.key(['space'], () => this.useToolAtCursor());
 
         // Resize panel events
         this.resizeInput.on('submit', () => this.handleResizeInput());
         this.resizeInput.key(['escape'], () => this.hideResizeDialog());
+
+        // Palette panel events
+        this.paletteInput.on('submit', () => this.handlePaletteInput());
+        this.paletteInput.key(['escape'], () => this.hidePaletteDialog());
+
+        // Color panel events
+        this.colorInput.on('submit', () => this.handleColorInput());
+        this.colorInput.key(['escape'], () => this.hideColorDialog());
+
+        // Frame panel events
+        this.frameInput.on('submit', () => this.handleFrameInput());
+        this.frameInput.key(['escape'], () => this.hideFrameDialog());
+
+        // Layer rename panel events
+        this.layerNameInput.on('submit', () => this.handleLayerNameInput());
+        this.layerNameInput.key(['escape'], () => this.hideLayerNameDialog());
+
+        // Import panel events
+        this.importInput.on('submit', () => this.handleImportInput());
+        this.importInput.key(['escape'], () => this.hideImportDialog());
+
+        // Banner panel events
+        this.bannerInput.on('submit', () => this.handleBannerInput());
+        this.bannerInput.key(['escape'], () => this.hideBannerDialog());
+
+        // Typing with the text tool, the canvas has the focus meanwhile
+        this.canvasBox.on('keypress', (ch, key) => this.handleTypingKey(ch, key));
+
+        // Export menu events
+        this.exportInput.on('submit', () => this.handleExportInput());
+        this.exportInput.key(['escape'], () => this.hideExportDialog());
+
+        // Choice panel events
+        this.choicePanel.on('keypress', (ch, key) => this.handleChoiceKey(ch, key));
+
+        // Metadata panel events
+        this.metadataInput.on('submit', () => this.handleMetadataInput());
+        this.metadataInput.key(['escape'], () => this.hideMetadataDialog());
     }
 
     moveCursor(dx, dy) {
@@ -291,151 +540,1482 @@ class EHEXApp {
             newY >= 0 && newY < this.currentImage.height) {
             this.cursorX = newX;
             this.cursorY = newY;
+            // A floating selection travels with the cursor
+            if (this.floating) {
+                this.floating.x += dx;
+                this.floating.y += dy;
+            }
             this.updateDisplay();
             this.updateStatus();
             this.updateInfo();
         }
     }
 
-    paintAtCursor() {
-        for (let dy = 0; dy < this.brushSize; dy++) {
-            for (let dx = 0; dx < this.brushSize; dx++) {
-                const paintX = this.cursorX + dx;
-                const paintY = this.cursorY + dy;
-                
-                if (paintX < this.currentImage.width && paintY < this.currentImage.height) {
-                    this.currentImage.setPixel(paintX, paintY, this.currentChar);
-                }
-            }
+    canEditLayer() {
+        if (this.currentImage.layers[this.currentImage.currentLayer].locked) {
+            this.statusBar.setContent(' Layer is locked (Shift+L to unlock) ');
+            this.screen.render();
+            return false;
         }
-        this.updateDisplay();
+        return true;
     }
 
-    handleCanvasClick(data) {
-        if (this.showResizePanel) return;
-
-        // Convert screen coordinates to image coordinates
-        const x = data.x - this.canvasBox.left - 1;
-        const y = data.y - this.canvasBox.top - 1;
-        
-        if (x >= 0 && x < this.currentImage.width && y >= 0 && y < this.currentImage.height) {
-            this.cursorX = x;
-            this.cursorY = y;
-            this.updateStatus();
-            this.updateInfo();
+    useToolAtCursor() {
+        if (this.tool === 'select') {
+            this.selectAtCursor();
+        } else if (this.tool === 'brush' || this.tool === 'spray') {
             this.paintAtCursor();
+        } else if (this.tool === 'fill') {
+            this.fillAtCursor();
+        } else if (this.tool === 'picker') {
+            this.pickAtCursor(false);
+        } else if (this.tool === 'text') {
+            this.startTyping();
+        } else if (this.tool === 'banner') {
+            this.showBannerDialog();
+        } else if (!this.anchor) {
+            // First press anchors the shape, the second one draws it
+            this.anchor = { x: this.cursorX, y: this.cursorY };
+            this.statusBar.setContent(` ${this.toolLabel()}: move to the second corner and press Space (Esc cancels) `);
+            this.updateDisplay();
+        } else {
+            this.drawShape();
         }
     }
 
-    updateDisplay() {
-        let display = '';
-        for (let y = 0; y < this.currentImage.height; y++) {
-            let line = '';
-            for (let x = 0; x < this.currentImage.width; x++) {
-                const charIndex = this.currentImage.getPixel(x, y);
-                const char = this.currentImage.chars[charIndex];
-                
-                if (x === this.cursorX && y === this.cursorY) {
-                    line += 'X'; // Use X for cursor position
-                } else {
-                    line += char;
-                }
-            }
-            display += line + '\n';
+    drawShape() {
+        const points = this.shapePreview();
+        this.anchor = null;
+        if (this.canEditLayer()) {
+            this.paintPoints(this.toolLabel(), points);
         }
-        this.canvas.setContent(display);
-        
-        // Update canvas border to fit image
-        this.canvasBox.width = this.currentImage.width + 4;
-        this.canvasBox.height = this.currentImage.height + 4;
-        this.canvas.width = this.currentImage.width;
-        this.canvas.height = this.currentImage.height;
-        
-        this.screen.render();
+        this.updateDisplay();
+        this.updateStatus();
     }
 
-    updateStatus() {
-        const currentChar = this.currentImage.chars[this.currentChar];
-        const brushText = `${this.brushSize}x${this.brushSize}`;
-        this.statusBar.setContent(` Ready | X:${this.cursorX} Y:${this.cursorY} | Char: ${currentChar} (${this.currentChar}) | Brush: ${brushText} `);
-        this.screen.render();
+    cancelShape() {
+        if (!this.anchor && !this.floating && !this.selection) return;
+        this.anchor = null;
+        this.floating = null;
+        this.selection = null;
+        this.updateDisplay();
+        this.updateStatus();
     }
 
-    updateInfo() {
-        const maxSize = "Max: 150x25";
-        const cursorInfo = `Cursor: X:${this.cursorX} Y:${this.cursorY}`;
-        const brushInfo = `Brush: ${this.brushSize}x${this.brushSize}`;
-        const charInfo = `Char: ${this.currentImage.chars[this.currentChar]} (${this.currentChar})`;
-        
-        this.infoPanel.setContent(`Info:\n\nSize: ${this.currentImage.width}x${this.currentImage.height}\n${maxSize}\nFormat: EHEX v${this.currentImage.version}\nFile: ${this.filename || 'Unsaved'}\n\n${cursorInfo}\n${brushInfo}\n${charInfo}`);
-        this.screen.render();
+    shapePreview() {
+        if (!this.anchor || this.tool === 'select') return [];
+        return shapePoints(this.tool, this.anchor.x, this.anchor.y, this.cursorX, this.cursorY);
+    }
+
+    fillAtCursor() {
+        if (!this.canEditLayer()) return;
+        const points = floodFillPoints(this.currentImage, this.cursorX, this.cursorY, this.fillConnectivity);
+        this.paintPoints('Fill', points);
+        this.updateDisplay();
     }
 
-    saveImage() {
-        if (!this.filename) {
-            this.filename = `image_${Date.now()}.ehex`;
+    // Paint a list of cells with the current char and colors as one undo step
+    paintPoints(label, points) {
+        this.history.begin(label, this.currentImage.location());
+        for (const point of points) {
+            this.paintSymmetric(point.x, point.y, this.currentChar);
         }
-        this.currentImage.save(this.filename);
-        this.statusBar.setContent(` Saved: ${this.filename} `);
+        this.history.commit();
         this.updateInfo();
-        this.screen.render();
     }
 
-    loadImage(filename = null) {
-        try {
-            if (!filename) {
-                // In a real implementation, you'd use a file dialog
-                const testFiles = fs.readdirSync('.').filter(f => f.endsWith('.ehex'));
-                if (testFiles.length > 0) {
-                    filename = testFiles[0];
-                } else {
-                    this.statusBar.setContent(' No .ehex files found in current directory ');
-                    this.screen.render();
-                    return;
-                }
+    symmetryOrigin() {
+        return this.symmetryCenter || { x: (this.currentImage.width - 1) / 2, y: (this.currentImage.height - 1) / 2 };
+    }
+
+    // Cells that painting x, y really changes: its mirror images, wrapped around the edges
+    // when tiling, or else only the ones inside the image
+    symmetricCells(x, y) {
+        const image = this.currentImage;
+        const cells = [];
+        for (const point of symmetryPoints(this.symmetry, x, y, this.symmetryOrigin())) {
+            if (this.tiling) {
+                cells.push({
+                    x: ((point.x % image.width) + image.width) % image.width,
+                    y: ((point.y % image.height) + image.height) % image.height
+                });
+            } else if (point.x >= 0 && point.x < image.width && point.y >= 0 && point.y < image.height) {
+                cells.push(point);
             }
-            
-            this.filename = filename;
-            this.currentImage.load(this.filename);
-            this.cursorX = 0;
-            this.cursorY = 0;
-            this.updateDisplay();
-            this.updateInfo();
-            this.updateStatus();
-            this.statusBar.setContent(` Loaded: ${this.filename} `);
+        }
+        return cells;
+    }
+
+    // Brushes, shapes and fills paint through here, so the drawing modes apply to all of them
+    paintSymmetric(x, y, charIndex, fg = this.currentFg, bg = this.currentBg) {
+        for (const cell of this.symmetricCells(x, y)) {
+            this.paintPixel(cell.x, cell.y, charIndex, fg, bg);
+        }
+    }
+
+    // Erasing paints the erase char without colors
+    paintAtCursor(erase = false) {
+        if (!this.canEditLayer()) return;
+
+        this.history.begin(this.strokeLabel(erase), this.currentImage.location());
+        this.dab(this.cursorX, this.cursorY, erase);
+        this.history.commit();
+        this.updateDisplay();
+        this.updateInfo();
+    }
+
+    strokeLabel(erase) {
+        return erase ? 'Erase' : this.tool === 'spray' ? 'Spray' : 'Paint';
+    }
+
+    // One print of the brush centered on x, y, recorded into the open transaction.
+    // The spray tool paints only some of the cells, with chars next to the current one.
+    dab(x, y, erase) {
+        const spray = this.tool === 'spray' && !erase;
+        for (const point of brushPoints(this.brushShape, this.brushSize, x, y, this.clipboard)) {
+            if (erase) {
+                this.paintSymmetric(point.x, point.y, this.eraseChar, -1, -1);
+            } else if (!spray) {
+                this.paintSymmetric(point.x, point.y, this.currentChar);
+            } else if (Math.random() < SPRAY_DENSITY) {
+                this.paintSymmetric(point.x, point.y, sprayChar(this.currentChar, this.currentImage.chars.length));
+            }
+        }
+    }
+
+    // Eyedropper: takes the char that is shown, whatever layer it is on
+    pickAtCursor(erase) {
+        const cell = this.currentImage.getCompositeCell(this.cursorX, this.cursorY);
+        this.selectChar(cell.char, erase);
+    }
+
+    // All pixel edits go through here so they end up in the undo history
+    paintPixel(x, y, charIndex, fg = this.currentFg, bg = this.currentBg) {
+        const before = this.currentImage.getCell(x, y);
+        const after = { char: charIndex, fg, bg };
+        if (before.char === after.char && before.fg === after.fg && before.bg === after.bg) return;
+
+        this.currentImage.setCell(x, y, after);
+        this.history.recordCell(x, y, before, after);
+    }
+
+    // Run a structural change and record it as a single snapshot transaction. The file the
+    // image belongs to and its save encoding are recorded too, so undoing a Load brings both back.
+    applyTransaction(label, action) {
+        const before = this.transactionState();
+        action();
+        this.history.recordSnapshot(label, before, this.transactionState());
+    }
+
+    transactionState() {
+        return Object.assign(this.currentImage.snapshot(), { filename: this.filename, encoding: this.currentImage.encoding });
+    }
+
+    // Cell edits leave the file alone, only snapshot entries carry it
+    restoreFileState(state) {
+        if (!state || state.filename === undefined) return;
+        this.filename = state.filename;
+        this.currentImage.encoding = state.encoding;
+    }
+
+    undo() {
+        const label = this.history.undo(this.currentImage);
+        if (label) {
+            this.restoreFileState(this.history.redoStack[this.history.redoStack.length - 1].before);
+        }
+        this.afterHistoryChange(label ? ` Undo: ${label} ` : ' Nothing to undo ');
+    }
+
+    redo() {
+        const label = this.history.redo(this.currentImage);
+        if (label) {
+            this.restoreFileState(this.history.top().after);
+        }
+        this.afterHistoryChange(label ? ` Redo: ${label} ` : ' Nothing to redo ');
+    }
+
+    afterHistoryChange(message) {
+        this.cursorX = Math.min(this.cursorX, this.currentImage.width - 1);
+        this.cursorY = Math.min(this.cursorY, this.currentImage.height - 1);
+        this.updateDisplay();
+        this.updateInfo();
+        this.updateStatus();
+        this.statusBar.setContent(message);
+        this.screen.render();
+    }
+
+    isDialogOpen() {
+        return this.showResizePanel || this.showPalettePanel || this.showColorPanel ||
+            this.showFramePanel || this.showLayerNamePanel || this.showImportPanel || this.showExportPanel ||
+            this.showMetadataPanel || this.showBannerPanel || this.fileBrowser.visible || this.choice !== null ||
+            this.typing !== null;
+    }
+        
+    // Convert screen coordinates to image coordinates
+    canvasPoint(data) {
+        const x = data.x - this.canvas.aleft + this.viewX;
+        const y = data.y - this.canvas.atop + this.viewY;
+        if (x >= 0 && x < this.currentImage.width && y >= 0 && y < this.currentImage.height) {
+            return { x, y };
+        }
+        return null;
+    }
+
+    // Whether pressing this button starts a stroke that paints ('paint') or erases ('erase')
+    // while the mouse is dragged. The right button erases with every tool that draws.
+    strokeMode(data) {
+        if (data.button === 'right') {
+            return this.tool === 'picker' || this.tool === 'select' ? null : 'erase';
+        }
+        return this.tool === 'brush' || this.tool === 'spray' ? 'paint' : null;
+    }
+
+    handleCanvasClick(data) {
+        if (this.isDialogOpen()) return;
+        // Selections, floating cells and strokes are handled by the drag events
+        if (this.tool === 'select' || this.floating || this.strokeMode(data)) return;
+
+        const point = this.canvasPoint(data);
+        if (point) {
+            const { x, y } = point;
+            this.cursorX = x;
+            this.cursorY = y;
+            this.updateStatus();
+            this.updateInfo();
+            // With the eyedropper the right button picks the erase char
+            if (data.button === 'right') {
+                this.pickAtCursor(true);
+            } else {
+                this.useToolAtCursor();
+            }
+        }
+    }
+
+    handleCanvasMouseDown(data) {
+        if (this.isDialogOpen()) return;
+        const point = this.canvasPoint(data);
+        if (!point) return;
+
+        const floating = this.floating;
+        if (floating && point.x >= floating.x && point.x < floating.x + floating.clip.width &&
+            point.y >= floating.y && point.y < floating.y + floating.clip.height) {
+            // Grab the floating selection where it was clicked
+            this.dragging = { type: 'floating', offsetX: point.x - floating.x, offsetY: point.y - floating.y };
+        } else if (this.tool === 'select' && !floating) {
+            this.dragging = { type: 'select' };
+            this.anchor = point;
+            this.selection = null;
+        } else if (!floating && this.strokeMode(data)) {
+            // The whole stroke, until the button is released, is one undo step
+            if (!this.canEditLayer()) return;
+            const erase = this.strokeMode(data) === 'erase';
+            this.dragging = { type: 'stroke', erase, last: point };
+            this.history.begin(this.strokeLabel(erase), this.currentImage.location());
+            this.dab(point.x, point.y, erase);
+        } else {
+            return;
+        }
+        this.cursorX = point.x;
+        this.cursorY = point.y;
+        this.updateDisplay();
+        this.updateStatus();
+    }
+
+    handleCanvasMouseMove(data) {
+        if (!this.dragging) return;
+        const point = this.canvasPoint(data);
+        if (!point) return;
+
+        this.cursorX = point.x;
+        this.cursorY = point.y;
+        if (this.dragging.type === 'floating') {
+            this.floating.x = point.x - this.dragging.offsetX;
+            this.floating.y = point.y - this.dragging.offsetY;
+        } else if (this.dragging.type === 'stroke') {
+            // Fast moves skip cells between events, fill the gap so the stroke has no holes
+            const last = this.dragging.last;
+            for (const step of linePoints(last.x, last.y, point.x, point.y).slice(1)) {
+                this.dab(step.x, step.y, this.dragging.erase);
+            }
+            this.dragging.last = point;
+        }
+        this.updateDisplay();
+        this.updateStatus();
+    }
+
+    handleCanvasMouseUp() {
+        if (!this.dragging) return;
+        if (this.dragging.type === 'select' && this.anchor) {
+            this.selectAtCursor();
+        } else if (this.dragging.type === 'stroke') {
+            this.history.commit();
+            this.updateInfo();
+        }
+        this.dragging = null;
+    }
+
+    // Select tool: first press anchors, second press (or mouse release) sets the rectangle
+    selectAtCursor() {
+        if (!this.anchor) {
+            this.anchor = { x: this.cursorX, y: this.cursorY };
+            this.selection = null;
+            this.statusBar.setContent(' Select: move to the opposite corner and press Space (Esc cancels) ');
+        } else {
+            this.selection = this.pendingSelection();
+            this.anchor = null;
+            this.statusBar.setContent(` Selected ${this.selection.width}x${this.selection.height} | Y copy, X cut, Shift+M move, F/J flip, Shift+R rotate `);
+        }
+        this.updateDisplay();
+    }
+
+    pendingSelection() {
+        if (this.tool === 'select' && this.anchor) {
+            return {
+                x: Math.min(this.anchor.x, this.cursorX),
+                y: Math.min(this.anchor.y, this.cursorY),
+                width: Math.abs(this.cursorX - this.anchor.x) + 1,
+                height: Math.abs(this.cursorY - this.anchor.y) + 1
+            };
+        }
+        return this.selection;
+    }
+
+    copySelection() {
+        const sel = this.selection;
+        if (!sel) {
+            this.statusBar.setContent(' Nothing selected ');
+        } else {
+            this.clipboard = this.currentImage.copyRegion(sel.x, sel.y, sel.width, sel.height);
+            this.statusBar.setContent(` Copied ${sel.width}x${sel.height} `);
+        }
+        this.screen.render();
+    }
+
+    cutSelection() {
+        const sel = this.selection;
+        if (!sel) {
+            this.statusBar.setContent(' Nothing selected ');
+            this.screen.render();
+            return;
+        }
+        if (!this.canEditLayer()) return;
+
+        this.clipboard = this.currentImage.copyRegion(sel.x, sel.y, sel.width, sel.height);
+        this.clearCells('Cut', sel);
+        this.afterImageChange(` Cut ${sel.width}x${sel.height} `);
+    }
+
+    clearCells(label, rect) {
+        const transparent = this.currentImage.transparent;
+        this.history.begin(label, this.currentImage.location());
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                this.paintPixel(x, y, transparent, -1, -1);
+            }
+        }
+        this.history.commit();
+    }
+
+    pasteClipboard() {
+        if (!this.clipboard) {
+            this.statusBar.setContent(' Clipboard is empty ');
+            this.screen.render();
+            return;
+        }
+        const clip = this.clipboard;
+        this.floating = { clip: clip.copyRegion(0, 0, clip.width, clip.height), x: this.cursorX, y: this.cursorY };
+        this.selection = null;
+        this.updateDisplay();
+        this.statusBar.setContent(' Pasted: move with arrows or drag, Enter to place, Esc to drop ');
+        this.screen.render();
+    }
+
+    // Turn the selected cells into a floating selection that can be moved around
+    liftSelection() {
+        const sel = this.selection;
+        if (!sel || !this.canEditLayer()) return;
+
+        const clip = this.currentImage.copyRegion(sel.x, sel.y, sel.width, sel.height);
+        this.clearCells('Lift selection', sel);
+        this.floating = { clip, x: sel.x, y: sel.y };
+        this.selection = null;
+        this.cursorX = sel.x;
+        this.cursorY = sel.y;
+        this.afterImageChange(' Moving selection: arrows or drag, Enter to place ');
+    }
+
+    placeFloating() {
+        const floating = this.floating;
+        if (!floating || !this.canEditLayer()) return;
+
+        const clip = floating.clip;
+        this.history.begin('Place selection', this.currentImage.location());
+        for (let dy = 0; dy < clip.height; dy++) {
+            for (let dx = 0; dx < clip.width; dx++) {
+                const cell = clip.getCell(dx, dy);
+                const x = floating.x + dx;
+                const y = floating.y + dy;
+                if ((cell.char !== clip.transparent || cell.bg !== -1) &&
+                    x >= 0 && x < this.currentImage.width && y >= 0 && y < this.currentImage.height) {
+                    this.paintPixel(x, y, cell.char, cell.fg, cell.bg);
+                }
+            }
+        }
+        this.history.commit();
+        this.selection = { x: floating.x, y: floating.y, width: clip.width, height: clip.height };
+        this.floating = null;
+        this.afterImageChange(' Selection placed ');
+    }
+
+    // Flip or rotate the floating selection, the selected cells, or the whole image
+    transformSelection(operation) {
+        const labels = { flipHorizontal: 'Flip horizontal', flipVertical: 'Flip vertical', rotate: 'Rotate' };
+        try {
+            if (this.floating) {
+                this.floating.clip[operation]();
+            } else if (this.selection && operation === 'rotate') {
+                // Rotation changes the shape, so the result floats until placed
+                this.liftSelection();
+                if (this.floating) this.floating.clip.rotate();
+            } else if (this.selection) {
+                if (!this.canEditLayer()) return;
+                const sel = this.selection;
+                const clip = this.currentImage.copyRegion(sel.x, sel.y, sel.width, sel.height);
+                clip[operation]();
+                this.history.begin(labels[operation], this.currentImage.location());
+                for (let dy = 0; dy < clip.height; dy++) {
+                    for (let dx = 0; dx < clip.width; dx++) {
+                        const cell = clip.getCell(dx, dy);
+                        this.paintPixel(sel.x + dx, sel.y + dy, cell.char, cell.fg, cell.bg);
+                    }
+                }
+                this.history.commit();
+            } else {
+                this.applyTransaction(`${labels[operation]} image`, () => this.currentImage[operation]());
+                this.cursorX = Math.min(this.cursorX, this.currentImage.width - 1);
+                this.cursorY = Math.min(this.cursorY, this.currentImage.height - 1);
+            }
+            this.afterImageChange(` ${labels[operation]} `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+            this.screen.render();
+        }
+    }
+
+    // Canvas size in cells: whatever is left of the screen next to the side panels
+    viewportSize() {
+        const width = Math.max(10, this.screen.width - this.charPanel.width - this.infoPanel.width - this.layerPanel.width - 8);
+        const height = Math.max(5, this.screen.height - 14);
+        return {
+            width: Math.min(this.currentImage.width, width),
+            height: Math.min(this.currentImage.height, height)
+        };
+    }
+
+    // Scroll just enough to keep the cursor inside the view
+    followCursor() {
+        const view = this.viewportSize();
+        const image = this.currentImage;
+        if (this.cursorX < this.viewX) this.viewX = this.cursorX;
+        if (this.cursorX >= this.viewX + view.width) this.viewX = this.cursorX - view.width + 1;
+        if (this.cursorY < this.viewY) this.viewY = this.cursorY;
+        if (this.cursorY >= this.viewY + view.height) this.viewY = this.cursorY - view.height + 1;
+        this.viewX = Math.max(0, Math.min(this.viewX, image.width - view.width));
+        this.viewY = Math.max(0, Math.min(this.viewY, image.height - view.height));
+        return view;
+    }
+
+    updateDisplay() {
+        let display = '';
+        const image = this.currentImage;
+        const view = this.followCursor();
+        // Onion skin: transparent cells show the previous frame in grey
+        const onionFrame = this.onionSkin ? image.currentFrame - 1 : -1;
+        // Live preview of the shape being drawn, mirrored like the result will be
+        const preview = new Set();
+        for (const point of this.shapePreview()) {
+            this.symmetricCells(point.x, point.y).forEach(cell => preview.add(`${cell.x},${cell.y}`));
+        }
+        // Blank cell at the symmetry center shows a grey +
+        const origin = this.symmetry === 'off' ? null : this.symmetryOrigin();
+        const centerX = origin ? Math.floor(origin.x) : -1;
+        const centerY = origin ? Math.floor(origin.y) : -1;
+        const previewChar = image.chars[this.currentChar];
+        const selection = this.pendingSelection();
+        const floating = this.floating;
+        for (let y = this.viewY; y < this.viewY + view.height; y++) {
+            const cells = [];
+            for (let x = this.viewX; x < this.viewX + view.width; x++) {
+                let cell = image.getCompositeCell(x, y);
+                if (floating && x >= floating.x && x < floating.x + floating.clip.width &&
+                    y >= floating.y && y < floating.y + floating.clip.height) {
+                    // Floating cells sit on top, their empty parts tinted magenta
+                    const clipCell = floating.clip.getCell(x - floating.x, y - floating.y);
+                    const opaque = clipCell.char !== floating.clip.transparent || clipCell.bg !== -1;
+                    cell = opaque ? clipCell : { char: cell.char, fg: cell.fg, bg: 5 };
+                } else if (selection && x >= selection.x && x < selection.x + selection.width &&
+                    y >= selection.y && y < selection.y + selection.height && cell.bg === -1) {
+                    cell = { char: cell.char, fg: cell.fg, bg: 4 };
+                }
+                const under = onionFrame >= 0 && cell.char === image.transparent ?
+                    image.getCompositeCell(x, y, onionFrame) : null;
+                
+                if (x === this.cursorX && y === this.cursorY) {
+                    cells.push({ char: 'X', fg: -1, bg: -1 }); // Use X for cursor position
+                } else if (preview.has(`${x},${y}`)) {
+                    cells.push({ char: previewChar, fg: this.currentFg, bg: this.currentBg });
+                } else if (under && under.char !== image.transparent) {
+                    cells.push({ char: image.chars[under.char], fg: 8, bg: cell.bg });
+                } else if (x === centerX && y === centerY && cell.char === image.transparent) {
+                    cells.push({ char: '+', fg: 8, bg: cell.bg });
+                } else {
+                    cells.push({ char: image.chars[cell.char], fg: cell.fg, bg: cell.bg });
+                }
+            }
+            display += formatCells(cells) + '\n';
+        }
+        this.canvas.setContent(display);
+        
+        // Update canvas border to fit the visible part of the image
+        this.canvasBox.width = view.width + 4;
+        this.canvasBox.height = view.height + 4;
+        this.canvas.width = view.width;
+        this.canvas.height = view.height;
+        
+        this.screen.render();
+    }
+
+    updateStatus() {
+        const currentChar = this.currentImage.chars[this.currentChar];
+        const brushText = this.brushLabel();
+        const colorText = `${this.colorLabel(this.currentFg)}/${this.colorLabel(this.currentBg)}`;
+        const eraseChar = this.currentImage.chars[this.eraseChar];
+        this.statusBar.setContent(` Ready | X:${this.cursorX} Y:${this.cursorY} | Tool: ${this.toolLabel()} | Char: ${currentChar} (${this.currentChar}) Erase: ${eraseChar} (${this.eraseChar}) | Color: ${colorText} | Brush: ${brushText} `);
+        this.screen.render();
+    }
+
+    updateInfo() {
+        const maxSize = `Max: ${MAX_SIZE}x${MAX_SIZE}`;
+        const cursorInfo = `Cursor: X:${this.cursorX} Y:${this.cursorY}`;
+        const brushInfo = `Brush: ${this.brushLabel()}`;
+        const toolInfo = `Tool: ${this.toolLabel()}${this.tool === 'fill' ? ` (${this.fillConnectivity}-way)` : ''}`;
+        const charInfo = `Char: ${this.currentImage.chars[this.currentChar]} (${this.currentChar}) erase ${this.currentImage.chars[this.eraseChar]} (${this.eraseChar})`;
+        const symmetryInfo = `Mirror: ${SYMMETRY_MODES.find(mode => mode.id === this.symmetry).label}${this.tiling ? ', tiling' : ''}`;
+        const colorInfo = `Color: fg ${this.colorLabel(this.currentFg)} bg ${this.colorLabel(this.currentBg)}`;
+        const image = this.currentImage;
+        const frameInfo = `Frame: ${image.currentFrame + 1}/${image.frames.length} (${image.frames[image.currentFrame].delay}ms)${this.onionSkin ? ' onion' : ''}`;
+        const historyInfo = `History: ${this.history.undoStack.length} undo / ${this.history.redoStack.length} redo`;
+        const view = this.viewportSize();
+        // Finding out whether colors are used scans the whole image, so only redo it after edits
+        if (this.formatRevision !== this.history.revision) {
+            this.formatVersion = image.formatVersion();
+            this.formatRevision = this.history.revision;
+        }
+        const viewInfo = `View: ${this.viewX},${this.viewY} ${view.width}x${view.height}`;
+        const modified = this.history.isModified();
+        this.screen.title = `${modified ? '* ' : ''}${this.filename ? path.basename(this.filename) : 'Unsaved'} - EpicHEX Image Editor v1.1`;
+        
+        this.infoPanel.setContent(`Info:\n\nSize: ${this.currentImage.width}x${this.currentImage.height}\n${maxSize}\nFormat: EHEX v${this.formatVersion} (${this.currentImage.encoding})\nFile: ${this.filename || 'Unsaved'}${modified ? ' (modified)' : ''}\n\n${cursorInfo}\n${toolInfo}\n${brushInfo}\n${symmetryInfo}\n${charInfo}\n${colorInfo}\n${frameInfo}\n${historyInfo}\n${viewInfo}`);
+        this.minimap.setContent(renderMinimap(image, this.minimap.width, this.minimap.height, Object.assign({ x: this.viewX, y: this.viewY }, view)));
+        this.updateLayerPanel();
+        this.updateCharPanel();
+        this.screen.render();
+    }
+
+    // One row per slot; the draw char is highlighted, the erase char marked with E
+    updateCharPanel() {
+        const chars = this.currentImage.chars;
+        let content = 'Chars:\n\n';
+        for (let index = 0; index < chars.length; index++) {
+            const row = `${index.toString(16).toUpperCase()} [${blessed.escape(chars[index])}]${index === this.eraseChar ? ' E' : ''}`;
+            content += index === this.currentChar ? `{blue-bg}>${row}{/blue-bg}\n` : ` ${row}\n`;
+        }
+        content += '\n0-9 Alt+A-F\nClick: draw\nRight: erase';
+        this.charPanel.setContent(content);
+    }
+
+    updateLayerPanel() {
+        const image = this.currentImage;
+        let content = 'Layers (top first):\n\n';
+        for (let i = image.layers.length - 1; i >= 0; i--) {
+            const layer = image.layers[i];
+            const marker = i === image.currentLayer ? '>' : ' ';
+            content += `${marker} ${layer.visible ? 'V' : '-'}${layer.locked ? 'L' : '-'} ${layer.name}\n`;
+        }
+        content += `\nTransparent: ${image.transparent} (${image.chars[image.transparent]})`;
+        content += '\n\nN new  Shift+N delete\nPgUp/PgDn select  < > move\nV show  Shift+L lock  M rename\nShift+F flatten  E export flat\nShift+T transparent = char';
+        this.layerPanel.setContent(content);
+    }
+
+    // Images that were never saved ask for a name first. then runs only after a successful save.
+    saveImage(filename = this.filename, then = null) {
+        if (!filename) {
+            this.showSaveAsDialog(then);
+            return;
+        }
+        try {
+            this.currentImage.touch();
+            saveSync(this.currentImage, filename);
+            this.filename = filename;
+            this.history.markSaved();
+            this.recovery.clear();
+            this.statusBar.setContent(` Saved: ${this.filename} `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+            then = null;
+        }
+        this.updateInfo();
+        this.screen.render();
+        if (then) then();
+    }
+
+    showSaveAsDialog(then = null) {
+        const suggested = this.filename || path.resolve(`image_${Date.now()}.ehex`);
+        this.fileBrowser.show({ mode: 'save', filename: suggested }, filename => {
+            if (filename) this.saveImage(filename, then);
+        });
+    }
+
+    // Small modal question. answers maps each accepted key to the value passed to callback,
+    // Escape passes null. The keyboard is grabbed so no hotkey fires underneath.
+    askChoice(message, answers, callback) {
+        this.choice = { answers, callback };
+        this.choicePanel.setContent(message);
+        this.choicePanel.show();
+        this.choicePanel.setFront();
+        this.screen.saveFocus();
+        this.choicePanel.focus();
+        this.screen.grabKeys = true;
+        this.screen.render();
+    }
+
+    handleChoiceKey(ch, key) {
+        if (!this.choice) return;
+        const name = key.name === 'escape' ? 'escape' : (ch || '').toLowerCase();
+        if (name !== 'escape' && !Object.prototype.hasOwnProperty.call(this.choice.answers, name)) return;
+
+        const { answers, callback } = this.choice;
+        this.choice = null;
+        this.choicePanel.hide();
+        this.screen.grabKeys = false;
+        this.screen.restoreFocus();
+        this.screen.render();
+        callback(name === 'escape' ? null : answers[name]);
+    }
+
+    // Runs action right away, or once the user decided what happens to unsaved changes
+    confirmDiscard(label, action) {
+        if (!this.history.isModified()) {
+            action();
+            return;
+        }
+        const name = this.filename ? path.basename(this.filename) : 'The new image';
+        this.askChoice(` ${label}: ${name} has unsaved changes.\n\n  S = save first   D = discard them   Esc = cancel`,
+            { s: 'save', y: 'save', d: 'discard', n: 'discard' }, answer => {
+                if (answer === 'save') {
+                    this.saveImage(this.filename, action);
+                } else if (answer === 'discard') {
+                    action();
+                }
+            });
+    }
+
+    quit() {
+        clearInterval(this.autosaveTimer);
+        this.recovery.clear();
+        this.screen.destroy();
+        process.exit(0);
+    }
+
+    // Runs on a timer and only writes when there is something new to lose
+    autosave() {
+        if (!this.history.isModified() || this.history.revision === this.autosaveRevision) return;
+        try {
+            this.recovery.write(this.currentImage, this.filename);
+            this.autosaveRevision = this.history.revision;
+        } catch (error) {
+            this.statusBar.setContent(` Autosave failed: ${error.message} `);
+            this.screen.render();
+        }
+    }
+
+    // Offers the newest snapshot left behind by an editor that did not exit cleanly
+    offerRecovery() {
+        const orphan = this.recovery.orphans()[0];
+        if (!orphan) return;
+        const name = orphan.filename ? path.basename(orphan.filename) : 'an unsaved image';
+        const time = new Date(orphan.time).toLocaleString();
+        this.askChoice(` Found an autosave of ${name} from ${time}.\n\n  R = restore it   D = delete it   Esc = ask again next time`,
+            { r: 'restore', y: 'restore', d: 'delete', n: 'delete' }, answer => {
+                if (answer === 'restore') {
+                    this.restoreAutosave(orphan);
+                } else if (answer === 'delete') {
+                    this.recovery.clear(orphan.id);
+                }
+            });
+    }
+
+    restoreAutosave(orphan) {
+        try {
+            const loaded = loadSync(orphan.snapshot, { lenient: true });
+            this.applyTransaction('Restore autosave', () => {
+                this.currentImage.restore(loaded.snapshot());
+                this.currentImage.encoding = loaded.encoding;
+                this.filename = orphan.filename;
+            });
+            this.selection = null;
+            this.floating = null;
+            this.cursorX = 0;
+            this.cursorY = 0;
+            this.recovery.clear(orphan.id);
+            this.autosave(); // This session owns the work from now on
+            this.afterImageChange(` Restored the autosave of ${this.filename || 'an unsaved image'}, save to keep it `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+            this.screen.render();
+        }
+    }
+
+    showOpenDialog() {
+        this.fileBrowser.show({ mode: 'open', filename: this.filename }, filename => {
+            if (filename) this.loadImage(filename);
+        });
+    }
+
+    // How the next save writes the file; loading a file picks up its encoding
+    cycleEncoding() {
+        const image = this.currentImage;
+        image.encoding = ENCODINGS[(ENCODINGS.indexOf(image.encoding) + 1) % ENCODINGS.length];
+        this.updateInfo();
+        this.statusBar.setContent(` Save encoding: ${image.encoding} `);
+        this.screen.render();
+    }
+
+    loadImage(filename) {
+        try {
+            // Load leniently so a damaged file can still be opened and repaired
+            const loaded = loadSync(filename, { lenient: true });
+            const warnings = loaded.warnings;
+            this.applyTransaction('Load', () => {
+                this.currentImage.restore(loaded.snapshot());
+                this.currentImage.encoding = loaded.encoding;
+                this.filename = filename;
+            });
+            this.history.markSaved();
+            this.recovery.clear();
+            // Nothing from the previous image applies to the new one
+            this.selection = null;
+            this.floating = null;
+            this.anchor = null;
+            this.cursorX = 0;
+            this.cursorY = 0;
+            this.viewX = 0;
+            this.viewY = 0;
+            this.updateDisplay();
+            this.updateInfo();
+            this.updateStatus();
+
+            const notices = [];
+            if (loaded.upgradedFrom) {
+                notices.push(`upgraded from EHEX v${loaded.upgradedFrom}, saving writes v${this.currentImage.formatVersion()}`);
+            }
+            if (warnings.length > 0) {
+                notices.push(`repaired ${warnings.length} problem(s). First: ${formatDiagnostic(warnings[0])}`);
+            }
+            this.loadNotice = notices.length > 0 ? ` Loaded ${this.filename}, ${notices.join('; ')} ` : null;
+            this.statusBar.setContent(this.loadNotice || ` Loaded: ${this.filename} `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+        }
+        this.screen.render();
+    }
+
+    newImage() {
+        this.applyTransaction('New image', () => {
+            this.currentImage.restore(new EHEXImage(20, 10).snapshot());
+            this.currentImage.encoding = 'text';
+            this.filename = null;
+        });
+        this.history.markSaved(); // Nothing to lose yet
+        this.recovery.clear();
+        this.cursorX = 0;
+        this.cursorY = 0;
+        this.updateDisplay();
+        this.updateInfo();
+        this.updateStatus();
+    }
+
+    changeChar() {
+        // Cycle through characters 0-15
+        this.currentChar = (this.currentChar + 1) % 16;
+        this.updateStatus();
+        this.updateInfo();
+    }
+
+    selectChar(index, erase = false) {
+        if (erase) {
+            this.eraseChar = index;
+        } else {
+            this.currentChar = index;
+        }
+        this.updateStatus();
+        this.updateInfo();
+    }
+
+    handleCharPanelClick(data) {
+        // Rows start below the border and the two title lines
+        const index = data.y - this.charPanel.atop - 3;
+        if (index >= 0 && index < this.currentImage.chars.length) {
+            this.selectChar(index, data.button === 'right');
+        }
+    }
+
+    colorLabel(color) {
+        return color < 0 ? 'default' : String(color);
+    }
+
+    showColorDialog() {
+        this.showColorPanel = true;
+        this.colorStep = 'fg';
+        this.colorPanel.setContent(this.formatColorPicker(' Foreground (0-255, - for default): '));
+        this.colorInput.setValue('');
+        this.colorPanel.show();
+        this.colorInput.focus();
+        this.screen.render();
+    }
+
+    hideColorDialog() {
+        this.showColorPanel = false;
+        this.colorPanel.hide();
+        this.screen.render();
+    }
+
+    formatColorPicker(prompt) {
+        // Swatches for the 16 ANSI colors; 16-255 can be typed directly
+        let swatches = ' ';
+        for (let color = 0; color < 16; color++) {
+            swatches += `{${color}-bg}${color.toString().padStart(2)} {/}`;
+            if (color === 7) swatches += '\n ';
+        }
+        const current = `fg ${this.colorLabel(this.currentFg)} bg ${this.colorLabel(this.currentBg)}`;
+        return ` Pick Color (current: ${current})\n${swatches}\n\n${prompt}`;
+    }
+
+    parseColorInput(value) {
+        value = value.trim();
+        if (value === '' || value === '-') return -1;
+        if (!/^\d+$/.test(value)) return null;
+        const color = parseInt(value, 10);
+        return color <= 255 ? color : null;
+    }
+
+    handleColorInput() {
+        const color = this.parseColorInput(this.colorInput.value);
+
+        if (color === null) {
+            this.statusBar.setContent(' Error: Color must be between 0 and 255 ');
+            this.hideColorDialog();
+        } else if (this.colorStep === 'fg') {
+            this.currentFg = color;
+            this.colorStep = 'bg';
+            this.colorPanel.setContent(this.formatColorPicker(' Background (0-255, - for default): '));
+            this.colorInput.setValue('');
+            this.colorInput.focus();
+        } else if (this.colorStep === 'bg') {
+            this.currentBg = color;
+            this.hideColorDialog();
+            this.updateStatus();
+            this.updateInfo();
+        }
+
+        this.screen.render();
+    }
+
+    stepFrame(delta) {
+        const image = this.currentImage;
+        image.selectFrame(image.currentFrame + delta);
+        this.updateDisplay();
+        this.updateInfo();
+    }
+
+    addFrame() {
+        this.applyTransaction('Add frame', () => this.currentImage.addFrame());
+        this.afterImageChange(` Added frame ${this.currentImage.currentFrame + 1} `);
+    }
+
+    duplicateFrame() {
+        this.applyTransaction('Duplicate frame', () => this.currentImage.duplicateFrame());
+        this.afterImageChange(` Duplicated into frame ${this.currentImage.currentFrame + 1} `);
+    }
+
+    deleteFrame() {
+        try {
+            this.applyTransaction('Delete frame', () => this.currentImage.deleteFrame());
+            this.afterImageChange(' Frame deleted ');
         } catch (error) {
             this.statusBar.setContent(` Error: ${error.message} `);
+            this.screen.render();
         }
+    }
+
+    moveFrame(delta) {
+        const image = this.currentImage;
+        const target = image.currentFrame + delta;
+        if (target < 0 || target >= image.frames.length) return;
+
+        this.applyTransaction('Move frame', () => image.moveFrame(image.currentFrame, target));
+        this.afterImageChange(` Moved to position ${target + 1} `);
+    }
+
+    toggleOnionSkin() {
+        this.onionSkin = !this.onionSkin;
+        this.updateDisplay();
+        this.updateInfo();
+    }
+
+    afterImageChange(message) {
+        this.updateDisplay();
+        this.updateInfo();
+        this.updateStatus();
+        this.statusBar.setContent(message);
         this.screen.render();
     }
 
-    newImage() {
-        this.currentImage = new EHEXImage(20, 10);
-        this.filename = null;
-        this.cursorX = 0;
-        this.cursorY = 0;
+    showFrameDialog() {
+        this.showFramePanel = true;
+        this.frameInput.setValue('');
+        this.framePanel.show();
+        this.frameInput.focus();
+        this.screen.render();
+    }
+
+    hideFrameDialog() {
+        this.showFramePanel = false;
+        this.framePanel.hide();
+        this.screen.render();
+    }
+
+    handleFrameInput() {
+        const delay = parseInt(this.frameInput.value);
+        const image = this.currentImage;
+
+        try {
+            this.applyTransaction('Frame delay', () => image.setFrameDelay(image.currentFrame, delay));
+            this.hideFrameDialog();
+            this.afterImageChange(` Frame ${image.currentFrame + 1} delay: ${delay}ms `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+            this.hideFrameDialog();
+        }
+    }
+
+    handleLayerClick(data) {
+        // Rows start below the border and the two title lines, top layer first
+        const row = data.y - this.layerPanel.atop - 3;
+        const index = this.currentImage.layers.length - 1 - row;
+        if (row >= 0 && index >= 0) {
+            this.currentImage.selectLayer(index);
+            this.updateDisplay();
+            this.updateInfo();
+        }
+    }
+
+    stepLayer(delta) {
+        const image = this.currentImage;
+        image.selectLayer(image.currentLayer + delta);
+        this.updateInfo();
+        this.updateStatus();
+    }
+
+    addLayer() {
+        this.applyTransaction('Add layer', () => this.currentImage.addLayer());
+        this.afterImageChange(` Added ${this.currentImage.layers[this.currentImage.currentLayer].name} `);
+    }
+
+    deleteLayer() {
+        try {
+            this.applyTransaction('Delete layer', () => this.currentImage.deleteLayer());
+            this.afterImageChange(' Layer deleted ');
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+            this.screen.render();
+        }
+    }
+
+    moveLayer(delta) {
+        const image = this.currentImage;
+        const target = image.currentLayer + delta;
+        if (target < 0 || target >= image.layers.length) return;
+
+        this.applyTransaction('Move layer', () => image.moveLayer(image.currentLayer, target));
+        this.afterImageChange(` Moved layer to position ${target + 1} `);
+    }
+
+    toggleLayerVisible() {
+        const image = this.currentImage;
+        this.applyTransaction('Layer visibility', () => {
+            const layer = image.layers[image.currentLayer];
+            layer.visible = !layer.visible;
+        });
+        this.afterImageChange(` Layer ${image.layers[image.currentLayer].visible ? 'shown' : 'hidden'} `);
+    }
+
+    toggleLayerLocked() {
+        const image = this.currentImage;
+        this.applyTransaction('Layer lock', () => {
+            const layer = image.layers[image.currentLayer];
+            layer.locked = !layer.locked;
+        });
+        this.afterImageChange(` Layer ${image.layers[image.currentLayer].locked ? 'locked' : 'unlocked'} `);
+    }
+
+    setTransparentChar() {
+        const charIndex = this.currentChar;
+        this.applyTransaction('Transparent index', () => this.currentImage.setTransparent(charIndex));
+        this.afterImageChange(` Transparent index: ${charIndex} `);
+    }
+
+    flattenLayers() {
+        this.applyTransaction('Flatten', () => this.currentImage.flatten());
+        this.afterImageChange(' Layers flattened ');
+    }
+
+    exportBaseName() {
+        return this.filename ? this.filename.replace(/\.ehex$/i, '') : `image_${Date.now()}`;
+    }
+
+    exportFlattened() {
+        const exportName = `${this.exportBaseName()}_flat.ehex`;
+        try {
+            saveSync(this.currentImage.flattened(), exportName);
+            this.statusBar.setContent(` Exported: ${exportName} `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+        }
+        this.screen.render();
+    }
+
+    // Render the current frame with one of the exporters, next to the image file
+    exportAs(format) {
+        const base = this.exportBaseName();
+        const exportName = base + EXPORTERS[format].extension;
+        try {
+            exportImage(this.currentImage, format, exportName, { title: path.basename(base) });
+            this.statusBar.setContent(` Exported: ${exportName} `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+        }
+        this.screen.render();
+    }
+
+    showExportDialog() {
+        const formats = Object.keys(EXPORTERS);
+        let content = ' Export Current Frame\n\n  1 = Flattened EHEX\n';
+        formats.forEach((format, index) => {
+            content += `  ${index + 2} = ${EXPORTERS[format].label} (${EXPORTERS[format].extension})\n`;
+        });
+        this.showExportPanel = true;
+        this.exportPanel.setContent(content);
+        this.exportInput.setValue('');
+        this.exportPanel.show();
+        this.exportInput.focus();
+        this.screen.render();
+    }
+
+    hideExportDialog() {
+        this.showExportPanel = false;
+        this.exportPanel.hide();
+        this.screen.render();
+    }
+
+    handleExportInput() {
+        const choice = parseInt(this.exportInput.value);
+        const formats = Object.keys(EXPORTERS);
+        this.hideExportDialog();
+        if (choice === 1) {
+            this.exportFlattened();
+        } else if (choice >= 2 && choice <= formats.length + 1) {
+            this.exportAs(formats[choice - 2]);
+        } else {
+            this.statusBar.setContent(` Error: Choose an export between 1 and ${formats.length + 1} `);
+            this.screen.render();
+        }
+    }
+
+    // The known keys are always listed, other keys as far as they fit
+    formatMetadata() {
+        const metadata = this.currentImage.metadata;
+        const others = Object.keys(metadata).filter(key => !METADATA_KEYS.includes(key));
+        const shown = METADATA_KEYS.concat(others.slice(0, 3));
+        const lines = [' Image Metadata', ''];
+        for (const key of shown) {
+            const value = (metadata[key] || '').replace(/\n/g, ' / ');
+            lines.push(`  ${(key + ':').padEnd(10)} ${value.length > 46 ? value.substring(0, 43) + '...' : value}`);
+        }
+        if (others.length > 3) {
+            lines.push(`  ... and ${others.length - 3} more key(s)`);
+        }
+        // The prompt sits right above the input line
+        while (lines.length < 13) {
+            lines.push('');
+        }
+        lines.push(' key=value sets, key= removes, Enter on empty closes:');
+        return lines.join('\n');
+    }
+
+    showMetadataDialog() {
+        this.showMetadataPanel = true;
+        this.metadataPanel.setContent(this.formatMetadata());
+        this.metadataInput.setValue('');
+        this.metadataPanel.show();
+        this.metadataInput.focus();
+        this.screen.render();
+    }
+
+    hideMetadataDialog() {
+        this.showMetadataPanel = false;
+        this.metadataPanel.hide();
+        this.screen.render();
+    }
+
+    // Stays open after each change so several fields can be filled in a row
+    handleMetadataInput() {
+        const value = this.metadataInput.value.trim();
+        if (value === '') {
+            this.hideMetadataDialog();
+            return;
+        }
+        const match = /^([^=]+)=(.*)$/.exec(value);
+        if (!match) {
+            this.statusBar.setContent(' Error: Enter metadata as key=value ');
+            this.showMetadataDialog();
+            return;
+        }
+        const key = match[1].trim().toLowerCase();
+        const text = match[2].trim();
+        try {
+            this.applyTransaction('Edit metadata', () => this.currentImage.setMetadata(key, text));
+            this.statusBar.setContent(text ? ` Metadata ${key} set ` : ` Metadata ${key} removed `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+        }
+        this.showMetadataDialog();
+    }
+
+    showLayerNameDialog() {
+        this.showLayerNamePanel = true;
+        this.layerNameInput.setValue('');
+        this.layerNamePanel.show();
+        this.layerNameInput.focus();
+        this.screen.render();
+    }
+
+    hideLayerNameDialog() {
+        this.showLayerNamePanel = false;
+        this.layerNamePanel.hide();
+        this.screen.render();
+    }
+
+    handleLayerNameInput() {
+        const image = this.currentImage;
+        const name = this.layerNameInput.value.trim();
+
+        try {
+            this.applyTransaction('Rename layer', () => image.renameLayer(image.currentLayer, name));
+            this.hideLayerNameDialog();
+            this.afterImageChange(` Layer renamed to ${name} `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+            this.hideLayerNameDialog();
+        }
+    }
+
+    showImportDialog() {
+        this.showImportPanel = true;
+        this.importStep = 'file';
+        this.importPanel.setContent(' Import Bitmap - Enter PNG/BMP/PPM/PGM file: ');
+        this.importInput.setValue('');
+        this.importPanel.show();
+        this.importInput.focus();
+        this.screen.render();
+    }
+
+    hideImportDialog() {
+        this.showImportPanel = false;
+        this.importPanel.hide();
+        this.screen.render();
+    }
+
+    handleImportInput() {
+        const value = this.importInput.value.trim();
+
+        if (this.importStep === 'file') {
+            if (value && fs.existsSync(value)) {
+                this.importFile = value;
+                this.importStep = 'width';
+                this.importPanel.setContent(` Width in cells (1-${MAX_SIZE}), Enter = ${this.currentImage.width}.\n The height follows the picture's proportions: `);
+                this.importInput.setValue('');
+                this.importInput.focus();
+            } else {
+                this.statusBar.setContent(` Error: File not found: ${value} `);
+                this.hideImportDialog();
+            }
+        } else if (this.importStep === 'width') {
+            const width = value === '' ? this.currentImage.width : parseInt(value);
+            if (width > 0 && width <= MAX_SIZE) {
+                this.importWidth = width;
+                this.importStep = 'dither';
+                this.importPanel.setContent(' Dithering: Enter = none, F = Floyd-Steinberg,\n O = ordered. Add ! to invert (light background): ');
+                this.importInput.setValue('');
+                this.importInput.focus();
+            } else {
+                this.statusBar.setContent(` Error: Width must be between 1 and ${MAX_SIZE} `);
+                this.hideImportDialog();
+            }
+        } else if (this.importStep === 'dither') {
+            const dithers = { '': 'none', f: 'floyd-steinberg', o: 'ordered' };
+            const invert = value.includes('!');
+            const dither = dithers[value.replace('!', '').trim().toLowerCase()];
+            if (dither) {
+                this.applyImport({ width: this.importWidth, dither, invert });
+            } else {
+                this.statusBar.setContent(' Error: Dithering must be empty, F or O ');
+                this.hideImportDialog();
+            }
+        }
+
+        this.screen.render();
+    }
+
+    applyImport(options) {
+        try {
+            const imported = new EHEXImage();
+            imported.importRaster(fs.readFileSync(this.importFile), options);
+            this.applyTransaction('Import bitmap', () => {
+                this.currentImage.restore(imported.snapshot());
+                // Saving goes next to the bitmap, never over it
+                this.filename = this.importFile.replace(/\.[^./\\]*$/, '') + '.ehex';
+            });
+            this.selection = null;
+            this.floating = null;
+            this.cursorX = 0;
+            this.cursorY = 0;
+            this.hideImportDialog();
+            this.afterImageChange(` Imported ${this.importFile} as ${imported.width}x${imported.height} `);
+        } catch (error) {
+            this.statusBar.setContent(` Error: ${error.message} `);
+            this.hideImportDialog();
+        }
+    }
+
+    // Text tool: typed chars go straight into the image and the cursor moves on like in a
+    // text editor. The keyboard is grabbed until Esc, all of the text is one undo step.
+    // Mirroring would scramble the letters, so it paints the cells as they are.
+    startTyping() {
+        if (!this.canEditLayer()) return;
+        this.typing = { startX: this.cursorX };
+        this.history.begin('Text', this.currentImage.location());
+        this.screen.saveFocus();
+        this.canvasBox.focus();
+        this.screen.grabKeys = true;
+        this.statusBar.setContent(' Text: type chars of the charset, Enter = next line, Backspace = erase, Esc = done ');
+        this.screen.render();
+    }
+
+    stopTyping() {
+        this.typing = null;
+        this.history.commit();
+        this.screen.grabKeys = false;
+        this.screen.restoreFocus();
         this.updateDisplay();
         this.updateInfo();
         this.updateStatus();
     }
 
-    changeChar() {
-        // Cycle through characters 0-15
-        this.currentChar = (this.currentChar + 1) % 16;
+    // Only chars of the charset can be typed; a letter missing in one case is tried in the other
+    typedCharIndex(ch) {
+        const chars = this.currentImage.chars;
+        const index = chars.indexOf(ch);
+        if (index >= 0) return index;
+        const other = ch === ch.toUpperCase() ? ch.toLowerCase() : ch.toUpperCase();
+        return chars.indexOf(other);
+    }
+
+    handleTypingKey(ch, key) {
+        if (!this.typing) return;
+        const image = this.currentImage;
+        const moves = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+
+        if (key.name === 'escape') {
+            this.stopTyping();
+            return;
+        } else if (key.name === 'enter') {
+            this.cursorX = this.typing.startX;
+            this.cursorY = Math.min(this.cursorY + 1, image.height - 1);
+        } else if (key.name === 'backspace') {
+            this.cursorX = Math.max(0, this.cursorX - 1);
+            this.paintPixel(this.cursorX, this.cursorY, this.eraseChar, -1, -1);
+        } else if (moves[key.name]) {
+            const [dx, dy] = moves[key.name];
+            this.cursorX = Math.max(0, Math.min(this.cursorX + dx, image.width - 1));
+            this.cursorY = Math.max(0, Math.min(this.cursorY + dy, image.height - 1));
+        } else if (ch && ch >= ' ' && !key.ctrl && !key.meta) {
+            const index = this.typedCharIndex(ch);
+            if (index < 0) {
+                this.statusBar.setContent(` Text: "${ch}" is not in the charset (Esc, then P to add it) `);
+                this.screen.render();
+                return;
+            }
+            this.paintPixel(this.cursorX, this.cursorY, index);
+            this.cursorX = Math.min(this.cursorX + 1, image.width - 1);
+        } else {
+            return;
+        }
+        this.updateDisplay();
+        this.updateInfo();
+        this.statusBar.setContent(` Text at X:${this.cursorX} Y:${this.cursorY} | Enter = next line, Backspace = erase, Esc = done `);
+        this.screen.render();
+    }
+
+    // Banner text: a string drawn with a FIGlet font at the cursor, every cell of the
+    // letters painted with the current char and colors
+    showBannerDialog() {
+        if (!this.canEditLayer()) return;
+        const fonts = listFonts();
+        this.showBannerPanel = true;
+        this.bannerStep = 'font';
+        this.bannerPanel.setContent(` Banner Text - Font: number, name or .flf file,\n Enter = ${this.bannerFontName}\n ` +
+            fonts.map((name, i) => `${i + 1} ${name}`).join('  '));
+        this.bannerInput.setValue('');
+        this.bannerPanel.show();
+        this.bannerInput.focus();
+        this.screen.render();
+    }
+
+    hideBannerDialog() {
+        this.showBannerPanel = false;
+        this.bannerPanel.hide();
+        this.screen.render();
+    }
+
+    handleBannerInput() {
+        const value = this.bannerInput.value.trim();
+
+        if (this.bannerStep === 'font') {
+            const fonts = listFonts();
+            const number = parseInt(value);
+            const name = value === '' ? this.bannerFontName :
+                String(number) === value && fonts[number - 1] ? fonts[number - 1] : value;
+            try {
+                this.bannerFont = loadFont(name);
+                this.bannerFontName = name;
+                this.bannerStep = 'text';
+                this.bannerPanel.setContent(` Banner Text - ${this.bannerFont.name}, ${this.bannerFont.height} cells high.\n Text to draw at the cursor: `);
+                this.bannerInput.setValue('');
+                this.bannerInput.focus();
+            } catch (error) {
+                this.statusBar.setContent(` Error: ${error.message} `);
+                this.hideBannerDialog();
+            }
+        } else if (this.bannerStep === 'text') {
+            this.hideBannerDialog();
+            if (value) this.drawBanner(this.bannerInput.value);
+        }
+
+        this.screen.render();
+    }
+
+    // Letters running over the edge are cut off, or wrap around when tiling
+    drawBanner(text) {
+        const points = textPoints(this.bannerFont, text)
+            .map(point => ({ x: this.cursorX + point.x, y: this.cursorY + point.y }));
+        this.paintPoints('Banner', points);
+        this.updateDisplay();
+        this.statusBar.setContent(` Banner: "${text}" in ${this.bannerFont.name} `);
+        this.screen.render();
+    }
+
+    toolLabel() {
+        return TOOLS.find(tool => tool.id === this.tool).label;
+    }
+
+    changeTool() {
+        const index = TOOLS.findIndex(tool => tool.id === this.tool);
+        this.tool = TOOLS[(index + 1) % TOOLS.length].id;
+        this.anchor = null;
+        this.updateDisplay();
+        this.updateStatus();
+        this.updateInfo();
+    }
+
+    toggleFillConnectivity() {
+        this.fillConnectivity = this.fillConnectivity === 4 ? 8 : 4;
+        this.updateInfo();
+        this.statusBar.setContent(` Fill connectivity: ${this.fillConnectivity}-way `);
+        this.screen.render();
+    }
+
+    cycleSymmetry() {
+        const index = SYMMETRY_MODES.findIndex(mode => mode.id === this.symmetry);
+        const next = SYMMETRY_MODES[(index + 1) % SYMMETRY_MODES.length];
+        this.symmetry = next.id;
+        this.updateDisplay();
+        this.updateInfo();
+        this.statusBar.setContent(` Mirror: ${next.label} (Shift+H centers it on the cursor) `);
+        this.screen.render();
+    }
+
+    // Pressed again on the same cell it goes back to the middle of the image
+    setSymmetryCenter() {
+        const center = this.symmetryCenter;
+        if (center && center.x === this.cursorX && center.y === this.cursorY) {
+            this.symmetryCenter = null;
+        } else {
+            this.symmetryCenter = { x: this.cursorX, y: this.cursorY };
+        }
+        const origin = this.symmetryOrigin();
+        this.updateDisplay();
+        this.updateInfo();
+        this.statusBar.setContent(` Mirror center: ${origin.x},${origin.y}${this.symmetryCenter ? '' : ' (middle of the image)'} `);
+        this.screen.render();
+    }
+
+    toggleTiling() {
+        this.tiling = !this.tiling;
+        this.updateInfo();
+        this.statusBar.setContent(` Tiling ${this.tiling ? 'on: painting wraps around the edges' : 'off'} `);
+        this.screen.render();
+    }
+
+    brushLabel() {
+        if (this.brushShape === 'stamp') {
+            return this.clipboard ? `stamp ${this.clipboard.width}x${this.clipboard.height}` : 'stamp (clipboard empty)';
+        }
+        return `${this.brushSize} ${BRUSH_SHAPES.find(shape => shape.id === this.brushShape).label}`;
+    }
+
+    changeBrushSize(delta) {
+        this.brushSize = Math.max(1, Math.min(this.brushSize + delta, MAX_BRUSH_SIZE));
         this.updateStatus();
         this.updateInfo();
     }
 
-    changeBrushSize() {
-        this.brushSize = this.brushSize < 3 ? this.brushSize + 1 : 1;
+    changeBrushShape() {
+        const index = BRUSH_SHAPES.findIndex(shape => shape.id === this.brushShape);
+        this.brushShape = BRUSH_SHAPES[(index + 1) % BRUSH_SHAPES.length].id;
         this.updateStatus();
         this.updateInfo();
+        // Without a clipboard the stamp brush paints a square
+        if (this.brushShape === 'stamp' && !this.clipboard) {
+            this.statusBar.setContent(' Stamp brush: copy a selection (Y) to use it as the brush ');
+            this.screen.render();
+        }
     }
 
     showResizeDialog() {
         this.showResizePanel = true;
         this.resizeStep = 'width';
-        this.resizePanel.setContent(' Resize Canvas - Enter Width (1-150): ');
+        this.resizePanel.setContent(` Resize Canvas - Enter Width (1-${MAX_SIZE}): `);
         this.resizeInput.setValue('');
         this.resizePanel.show();
         this.resizeInput.focus();
@@ -452,22 +2032,51 @@ class EHEXApp {
         const value = parseInt(this.resizeInput.value);
         
         if (this.resizeStep === 'width') {
-            if (value > 0 && value <= 150) {
+            if (value > 0 && value <= MAX_SIZE) {
                 this.resizeWidth = value;
                 this.resizeStep = 'height';
-                this.resizePanel.setContent(' Resize Canvas - Enter Height (1-25): ');
+                this.resizePanel.setContent(` Resize Canvas - Enter Height (1-${MAX_SIZE}): `);
                 this.resizeInput.setValue('');
                 this.resizeInput.focus();
             } else {
-                this.statusBar.setContent(' Error: Width must be between 1 and 150 ');
+                this.statusBar.setContent(` Error: Width must be between 1 and ${MAX_SIZE} `);
                 this.hideResizeDialog();
             }
         } else if (this.resizeStep === 'height') {
-            if (value > 0 && value <= 25) {
+            if (value > 0 && value <= MAX_SIZE) {
                 this.resizeHeight = value;
+                this.resizeStep = 'mode';
+                this.resizePanel.setContent(' Content: Enter = keep (pad/crop),\n N = scale nearest, A = scale averaged density: ');
+                this.resizeInput.setValue('');
+                this.resizeInput.focus();
+            } else {
+                this.statusBar.setContent(` Error: Height must be between 1 and ${MAX_SIZE} `);
+                this.hideResizeDialog();
+            }
+        } else if (this.resizeStep === 'mode') {
+            const modes = { '': 'keep', n: 'nearest', a: 'average' };
+            const mode = modes[this.resizeInput.value.trim().toLowerCase()];
+            if (mode === 'keep') {
+                this.resizeMode = mode;
+                this.resizeStep = 'anchor';
+                this.resizePanel.setContent(' Anchor - the part that stays in place:\n\n    1 2 3     top\n    4 5 6\n    7 8 9     bottom\n Enter 1-9 (Enter = 1, top-left): ');
+                this.resizeInput.setValue('');
+                this.resizeInput.focus();
+            } else if (mode) {
+                this.resizeMode = mode;
+                this.applyResize();
+            } else {
+                this.statusBar.setContent(' Error: Content mode must be empty, N or A ');
+                this.hideResizeDialog();
+            }
+        } else if (this.resizeStep === 'anchor') {
+            const input = this.resizeInput.value.trim();
+            const anchor = input === '' ? 1 : parseInt(input);
+            if (anchor >= 1 && anchor <= 9) {
+                this.resizeAnchor = ANCHORS[anchor - 1];
                 this.applyResize();
             } else {
-                this.statusBar.setContent(' Error: Height must be between 1 and 25 ');
+                this.statusBar.setContent(' Error: Anchor must be between 1 and 9 ');
                 this.hideResizeDialog();
             }
         }
@@ -476,21 +2085,140 @@ class EHEXApp {
     }
 
     applyResize() {
-        this.currentImage.resize(this.resizeWidth, this.resizeHeight);
-        this.cursorX = Math.min(this.cursorX, this.resizeWidth - 1);
-        this.cursorY = Math.min(this.cursorY, this.resizeHeight - 1);
+        const width = this.resizeWidth;
+        const height = this.resizeHeight;
+        let message;
+        if (this.resizeMode === 'keep') {
+            this.applyTransaction('Resize', () => this.currentImage.resize(width, height, this.resizeAnchor));
+            message = ` Resized to ${width}x${height} (anchor ${this.resizeAnchor}) `;
+        } else {
+            this.applyTransaction('Scale', () => this.currentImage.scale(width, height, this.resizeMode));
+            message = ` Scaled to ${width}x${height} (${this.resizeMode === 'nearest' ? 'nearest neighbor' : 'averaged density'}) `;
+        }
+        // Old selection coordinates no longer match the content
+        this.selection = null;
+        this.cursorX = Math.min(this.cursorX, width - 1);
+        this.cursorY = Math.min(this.cursorY, height - 1);
         this.updateDisplay();
         this.updateInfo();
         this.updateStatus();
-        this.statusBar.setContent(` Resized to ${this.resizeWidth}x${this.resizeHeight} `);
+        this.statusBar.setContent(message);
         this.hideResizeDialog();
     }
 
+    // Crop to the selection, or trim the blank border when nothing is selected
+    cropImage() {
+        const image = this.currentImage;
+        if (this.floating) {
+            this.statusBar.setContent(' Place the floating selection before cropping ');
+            this.screen.render();
+            return;
+        }
+
+        const bounds = this.selection || image.contentBounds();
+        if (!bounds) {
+            this.statusBar.setContent(' Nothing to trim: the image is blank ');
+            this.screen.render();
+            return;
+        }
+        if (bounds.width === image.width && bounds.height === image.height) {
+            this.selection = null;
+            this.afterImageChange(' Nothing to trim ');
+            return;
+        }
+
+        const label = this.selection ? 'Crop to selection' : 'Trim';
+        this.applyTransaction(label, () => image.crop(bounds.x, bounds.y, bounds.width, bounds.height));
+        this.selection = null;
+        this.cursorX = Math.max(0, Math.min(this.cursorX - bounds.x, image.width - 1));
+        this.cursorY = Math.max(0, Math.min(this.cursorY - bounds.y, image.height - 1));
+        this.afterImageChange(` ${label}: ${image.width}x${image.height} `);
+    }
+
+    showPaletteDialog() {
+        this.showPalettePanel = true;
+        this.paletteStep = 'slot';
+        this.palettePanel.setContent(this.formatPalette(' Enter slot (0-F) or "default": '));
+        this.paletteInput.setValue('');
+        this.palettePanel.show();
+        this.paletteInput.focus();
+        this.screen.render();
+    }
+
+    hidePaletteDialog() {
+        this.showPalettePanel = false;
+        this.palettePanel.hide();
+        this.screen.render();
+    }
+
+    formatPalette(prompt) {
+        const chars = this.currentImage.chars;
+        let content = ' Edit Palette\n\n';
+        for (let row = 0; row < 4; row++) {
+            let line = ' ';
+            for (let col = 0; col < 4; col++) {
+                const index = row * 4 + col;
+                line += `${index.toString(16).toUpperCase()}:[${chars[index]}]  `;
+            }
+            content += line + '\n';
+        }
+        return content + '\n' + prompt;
+    }
+
+    handlePaletteInput() {
+        const value = this.paletteInput.value;
+
+        if (this.paletteStep === 'slot') {
+            if (value.trim().toLowerCase() === 'default') {
+                this.applyTransaction('Reset palette', () => {
+                    this.currentImage.chars = this.currentImage.createDefaultCharset();
+                });
+                this.afterPaletteChange(' Palette reset to default ');
+            } else if (/^[0-9a-fA-F]$/.test(value.trim())) {
+                const slot = parseInt(value, 16);
+                this.paletteSlot = slot;
+                this.paletteStep = 'glyph';
+                this.palettePanel.setContent(this.formatPalette(` Enter glyph for slot ${slot.toString(16).toUpperCase()}: `));
+                this.paletteInput.setValue('');
+                this.paletteInput.focus();
+            } else {
+                this.statusBar.setContent(' Error: Slot must be a hex digit 0-F ');
+                this.hidePaletteDialog();
+            }
+        } else if (this.paletteStep === 'glyph') {
+            try {
+                this.applyTransaction('Edit palette', () => this.currentImage.setChar(this.paletteSlot, value));
+                this.afterPaletteChange(` Slot ${this.paletteSlot.toString(16).toUpperCase()} set to ${value} `);
+            } catch (error) {
+                this.statusBar.setContent(` Error: ${error.message} `);
+                this.hidePaletteDialog();
+            }
+        }
+
+        this.screen.render();
+    }
+
+    afterPaletteChange(message) {
+        this.updateDisplay();
+        this.updateInfo();
+        this.updateStatus();
+        this.statusBar.setContent(message);
+        this.hidePaletteDialog();
+    }
+
     run() {
         this.updateDisplay();
         this.updateInfo();
         this.updateStatus();
+        // Keep the notice about a file opened from the command line
+        if (this.loadNotice) {
+            this.statusBar.setContent(this.loadNotice);
+        }
         this.screen.render();
+
+        this.autosaveTimer = setInterval(() => this.autosave(), AUTOSAVE_INTERVAL);
+        this.autosaveTimer.unref();
+        this.offerRecovery();
     }
 }
 
@@ -506,7 +2234,7 @@ function createSampleEHEX() {
         }
     }
     
-    sample.save('sample.ehex');
+    saveSync(sample, 'sample.ehex');
     console.log('Created sample.ehex');
 }
 
@@ -533,8 +2261,8 @@ if (require.main === module) {
     
     console.log('EpicHEX Editor v1.1 started!');
     console.log('Use arrow keys to move, space to paint');
-    console.log('Hotkeys: F1(New) S(Save) L(Load) C(Char) B(Brush) R(Resize) F10(Quit)');
-    console.log('Canvas limit: 150x25 pixels');
+    console.log('Hotkeys: F1(New) S(Save) W(Save As) Shift+S(Encoding) L(Open) I(Import bitmap) E(Export) C/0-9/Alt+A-F(Char) O(Color) B/Shift+B(Brush size) U(Brush shape) G(Tool) H/Shift+H(Mirror/center) Shift+W(Tiling) Y/X/Shift+P(Copy/Cut/Paste) R(Resize) Shift+C(Crop/Trim) Shift+I(Metadata) P(Palette) [/](Frames) N(Layers) Ctrl+Z/Ctrl+Y(Undo/Redo) F10(Quit)');
+    console.log(`Canvas limit: ${MAX_SIZE}x${MAX_SIZE} pixels (the view scrolls with the cursor)`);
 }
 
 module.exports = { EHEXImage, EHEXApp };
\ No newline at end of file
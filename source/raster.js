@@ -0,0 +1,457 @@
+// raster.js - Bitmap decoding (PNG, BMP, Netpbm) and brightness to char-index mapping
+// Decoders return { width, height, data } with data as 8-bit RGBA, row by row.
+const zlib = require('zlib');
+const { crc32 } = require('./crc32.js');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Adam7 passes: x start, y start, x step, y step
+const ADAM7 = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function decodePNG(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let header = null;
+    let palette = null;
+    let alphas = null;
+    const idat = [];
+    let offset = 8;
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const dataStart = offset + 8;
+        const dataEnd = dataStart + length;
+        if (dataEnd + 4 > buffer.length) {
+            throw new Error(`PNG chunk ${type} is truncated`);
+        }
+        if (crc32(buffer, offset + 4, dataEnd) !== buffer.readUInt32BE(dataEnd)) {
+            throw new Error(`PNG chunk ${type} has a bad checksum`);
+        }
+        const data = buffer.subarray(dataStart, dataEnd);
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            alphas = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset = dataEnd + 4;
+    }
+
+    if (!header) throw new Error('PNG file has no IHDR chunk');
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new Error('Paletted PNG file has no PLTE chunk');
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = (1 << bitDepth) - 1;
+    const data = new Uint8Array(width * height * 4);
+    let position = 0;
+
+    // Scale a raw sample to 8 bits; 16-bit samples keep their high byte
+    const to8 = value => bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round(value * 255 / maxSample);
+
+    const decodePass = (startX, startY, stepX, stepY) => {
+        const passWidth = Math.ceil((width - startX) / stepX);
+        const passHeight = Math.ceil((height - startY) / stepY);
+        if (passWidth <= 0 || passHeight <= 0) return;
+
+        const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+        let previous = new Uint8Array(stride);
+        for (let row = 0; row < passHeight; row++) {
+            if (position + 1 + stride > raw.length) {
+                throw new Error('PNG image data is truncated');
+            }
+            const filter = raw[position];
+            const line = Uint8Array.from(raw.subarray(position + 1, position + 1 + stride));
+            position += 1 + stride;
+
+            for (let i = 0; i < stride; i++) {
+                const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+                const up = previous[i];
+                const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+                switch (filter) {
+                    case 0: break;
+                    case 1: line[i] += left; break;
+                    case 2: line[i] += up; break;
+                    case 3: line[i] += (left + up) >> 1; break;
+                    case 4: line[i] += paeth(left, up, upLeft); break;
+                    default: throw new Error(`Bad PNG filter type ${filter}`);
+                }
+            }
+
+            const sample = (index) => {
+                if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+                if (bitDepth === 8) return line[index];
+                const bit = index * bitDepth;
+                return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+            };
+
+            const y = startY + row * stepY;
+            for (let col = 0; col < passWidth; col++) {
+                const x = startX + col * stepX;
+                const out = (y * width + x) * 4;
+                const base = col * channels;
+                let r, g, b;
+                let a = 255;
+                if (colorType === 3) {
+                    const index = sample(base);
+                    r = palette[index * 3];
+                    g = palette[index * 3 + 1];
+                    b = palette[index * 3 + 2];
+                    if (alphas && index < alphas.length) a = alphas[index];
+                } else if (colorType === 0 || colorType === 4) {
+                    const gray = sample(base);
+                    r = g = b = to8(gray);
+                    if (colorType === 4) a = to8(sample(base + 1));
+                    else if (alphas && alphas.length >= 2 && gray === alphas.readUInt16BE(0)) a = 0;
+                } else {
+                    const rr = sample(base);
+                    const gg = sample(base + 1);
+                    const bb = sample(base + 2);
+                    r = to8(rr);
+                    g = to8(gg);
+                    b = to8(bb);
+                    if (colorType === 6) {
+                        a = to8(sample(base + 3));
+                    } else if (alphas && alphas.length >= 6 && rr === alphas.readUInt16BE(0) &&
+                               gg === alphas.readUInt16BE(2) && bb === alphas.readUInt16BE(4)) {
+                        a = 0;
+                    }
+                }
+                data[out] = r;
+                data[out + 1] = g;
+                data[out + 2] = b;
+                data[out + 3] = a;
+            }
+            previous = line;
+        }
+    };
+
+    if (interlace === 1) {
+        for (const pass of ADAM7) decodePass(...pass);
+    } else {
+        decodePass(0, 0, 1, 1);
+    }
+    return { width, height, data };
+}
+
+function decodeBMP(buffer) {
+    if (buffer.length < 30 || buffer.toString('latin1', 0, 2) !== 'BM') {
+        throw new Error('Not a BMP file');
+    }
+
+    const pixelOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    let width, rawHeight, bitCount, compression, colorsUsed;
+    if (headerSize === 12) {
+        // OS/2 BITMAPCOREHEADER
+        width = buffer.readUInt16LE(18);
+        rawHeight = buffer.readInt16LE(20);
+        bitCount = buffer.readUInt16LE(24);
+        compression = 0;
+        colorsUsed = 0;
+    } else {
+        width = buffer.readInt32LE(18);
+        rawHeight = buffer.readInt32LE(22);
+        bitCount = buffer.readUInt16LE(28);
+        compression = buffer.readUInt32LE(30);
+        colorsUsed = buffer.readUInt32LE(46);
+    }
+    const topDown = rawHeight < 0;
+    const height = Math.abs(rawHeight);
+
+    if (compression !== 0 && compression !== 3) {
+        throw new Error(`Compressed BMP files are not supported (compression ${compression})`);
+    }
+    if (![1, 4, 8, 16, 24, 32].includes(bitCount)) {
+        throw new Error(`Unsupported BMP bit depth ${bitCount}`);
+    }
+
+    // Palette entries are BGR0, or BGR for the old OS/2 header
+    const palette = [];
+    if (bitCount <= 8) {
+        const entrySize = headerSize === 12 ? 3 : 4;
+        const count = colorsUsed || (1 << bitCount);
+        for (let i = 0; i < count; i++) {
+            const at = 14 + headerSize + i * entrySize;
+            palette.push([buffer[at + 2], buffer[at + 1], buffer[at]]);
+        }
+    }
+
+    // Channel masks for 16/32-bit images; BITFIELDS stores them right after a 40-byte header
+    let masks = bitCount === 16 ? [0x7C00, 0x03E0, 0x001F, 0] : [0xFF0000, 0xFF00, 0xFF, 0];
+    if (compression === 3) {
+        const at = 14 + 40;
+        masks = [buffer.readUInt32LE(at), buffer.readUInt32LE(at + 4), buffer.readUInt32LE(at + 8),
+            headerSize >= 56 ? buffer.readUInt32LE(at + 12) : 0];
+    }
+    const channel = (value, mask) => {
+        if (!mask) return 255;
+        let shift = 0;
+        while (!((mask >>> shift) & 1)) shift++;
+        const max = mask >>> shift;
+        return Math.round(((value & mask) >>> shift) * 255 / max);
+    };
+
+    const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+    if (pixelOffset + stride * height > buffer.length) {
+        throw new Error('BMP pixel data is truncated');
+    }
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = pixelOffset + (topDown ? y : height - 1 - y) * stride;
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            let rgba;
+            if (bitCount <= 8) {
+                const bit = x * bitCount;
+                const index = (buffer[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+                rgba = (palette[index] || [0, 0, 0]).concat(255);
+            } else if (bitCount === 24) {
+                const at = row + x * 3;
+                rgba = [buffer[at + 2], buffer[at + 1], buffer[at], 255];
+            } else {
+                const value = bitCount === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+                rgba = [channel(value, masks[0]), channel(value, masks[1]), channel(value, masks[2]), channel(value, masks[3])];
+            }
+            data.set(rgba, out);
+        }
+    }
+    return { width, height, data };
+}
+
+// P1-P6: plain and raw bitmaps (PBM), graymaps (PGM) and pixmaps (PPM)
+function decodeNetpbm(buffer) {
+    const kind = buffer.toString('latin1', 0, 2);
+    if (!/^P[1-6]$/.test(kind)) {
+        throw new Error('Not a Netpbm file');
+    }
+
+    let position = 2;
+    const token = () => {
+        for (;;) {
+            while (position < buffer.length && /\s/.test(String.fromCharCode(buffer[position]))) position++;
+            if (buffer[position] !== 0x23) break; // '#' starts a comment
+            while (position < buffer.length && buffer[position] !== 0x0A) position++;
+        }
+        const start = position;
+        while (position < buffer.length && !/\s/.test(String.fromCharCode(buffer[position]))) position++;
+        if (start === position) throw new Error('Netpbm file is truncated');
+        return buffer.toString('latin1', start, position);
+    };
+    const number = () => {
+        const value = parseInt(token(), 10);
+        if (isNaN(value)) throw new Error('Netpbm header is malformed');
+        return value;
+    };
+
+    const type = kind[1];
+    const bitmap = type === '1' || type === '4';
+    const channels = type === '3' || type === '6' ? 3 : 1;
+    const width = number();
+    const height = number();
+    const maxValue = bitmap ? 1 : number();
+    const plain = type <= '3';
+    const wide = maxValue > 255;
+    position++; // Single whitespace before raw data
+
+    const rowBytes = Math.ceil(width / 8);
+    if (bitmap && !plain && position + rowBytes * height > buffer.length) {
+        throw new Error('Netpbm pixel data is truncated');
+    }
+
+    const data = new Uint8Array(width * height * 4);
+    const scale = value => Math.round(Math.min(value, maxValue) * 255 / maxValue);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const rgb = [];
+            for (let c = 0; c < channels; c++) {
+                let value;
+                if (bitmap) {
+                    if (plain) {
+                        // Plain PBM bits may be packed without separators
+                        while (position < buffer.length && /\s/.test(String.fromCharCode(buffer[position]))) position++;
+                        if (position >= buffer.length) throw new Error('Netpbm pixel data is truncated');
+                        value = buffer[position++] === 0x31 ? 1 : 0;
+                    } else {
+                        value = (buffer[position + y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                    }
+                    value = value ? 0 : 255; // 1 is black in PBM
+                } else if (plain) {
+                    value = scale(number());
+                } else {
+                    if (position + (wide ? 2 : 1) > buffer.length) {
+                        throw new Error('Netpbm pixel data is truncated');
+                    }
+                    value = scale(wide ? buffer.readUInt16BE(position) : buffer[position]);
+                    position += wide ? 2 : 1;
+                }
+                rgb.push(value);
+            }
+            const out = (y * width + x) * 4;
+            data[out] = rgb[0];
+            data[out + 1] = channels === 3 ? rgb[1] : rgb[0];
+            data[out + 2] = channels === 3 ? rgb[2] : rgb[0];
+            data[out + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+// Pick the decoder from the file's magic bytes
+function decodeRaster(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return decodePNG(buffer);
+    if (buffer.toString('latin1', 0, 2) === 'BM') return decodeBMP(buffer);
+    if (/^P[1-6]$/.test(buffer.toString('latin1', 0, 2))) return decodeNetpbm(buffer);
+    throw new Error('Unknown image format (expected PNG, BMP, PBM, PGM or PPM)');
+}
+
+// Brightness of every pixel from 0 to 1 (Rec. 601 weights), transparent pixels blend into black
+function luminance(raster) {
+    const values = new Float32Array(raster.width * raster.height);
+    const data = raster.data;
+    for (let i = 0; i < values.length; i++) {
+        const at = i * 4;
+        const gray = (0.299 * data[at] + 0.587 * data[at + 1] + 0.114 * data[at + 2]) / 255;
+        values[i] = gray * data[at + 3] / 255;
+    }
+    return values;
+}
+
+// Area-average resample; each target cell covers at least one source pixel
+function resample(values, width, height, newWidth, newHeight) {
+    const result = new Float32Array(newWidth * newHeight);
+    const scaleX = width / newWidth;
+    const scaleY = height / newHeight;
+    for (let y = 0; y < newHeight; y++) {
+        const top = Math.min(height - 1, Math.floor(y * scaleY));
+        const bottom = Math.max(top + 1, Math.min(height, Math.floor((y + 1) * scaleY)));
+        for (let x = 0; x < newWidth; x++) {
+            const left = Math.min(width - 1, Math.floor(x * scaleX));
+            const right = Math.max(left + 1, Math.min(width, Math.floor((x + 1) * scaleX)));
+            let sum = 0;
+            for (let sy = top; sy < bottom; sy++) {
+                for (let sx = left; sx < right; sx++) {
+                    sum += values[sy * width + sx];
+                }
+            }
+            result[y * newWidth + x] = sum / ((bottom - top) * (right - left));
+        }
+    }
+    return result;
+}
+
+// 4x4 Bayer thresholds for ordered dithering
+const BAYER = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+const DITHERS = ['none', 'floyd-steinberg', 'ordered'];
+
+// Target size in cells. Terminal cells are about twice as tall as wide (cellAspect),
+// so a missing side is derived from the other one to keep the picture's proportions.
+function targetSize(raster, options = {}) {
+    const aspect = options.cellAspect || 2;
+    let width = options.width;
+    let height = options.height;
+    if (!width && !height) {
+        width = Math.min(raster.width, 80);
+    }
+    if (!height) {
+        height = Math.round(width * raster.height / raster.width / aspect);
+    } else if (!width) {
+        width = Math.round(height * aspect * raster.width / raster.height);
+    }
+    const limit = options.maxSize || Infinity;
+    return {
+        width: Math.max(1, Math.min(width, limit)),
+        height: Math.max(1, Math.min(height, limit))
+    };
+}
+
+// Map a decoded bitmap to rows of char indices 0-15, bright pixels on dense chars
+// (the default charset runs from sparse to dense). Options: width, height, cellAspect,
+// maxSize, dither ('none', 'floyd-steinberg' or 'ordered') and invert for light backgrounds.
+function rasterToIndices(raster, options = {}) {
+    const dither = options.dither || 'none';
+    if (!DITHERS.includes(dither)) {
+        throw new Error(`Unknown dither mode: ${dither} (expected ${DITHERS.join(', ')})`);
+    }
+    const { width, height } = targetSize(raster, options);
+    const levels = resample(luminance(raster), raster.width, raster.height, width, height);
+    const top = 15;
+
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = new Uint8Array(width);
+        for (let x = 0; x < width; x++) {
+            const at = y * width + x;
+            const value = (options.invert ? 1 - levels[at] : levels[at]) * top;
+            let index;
+            if (dither === 'ordered') {
+                index = Math.floor(value + (BAYER[y % 4][x % 4] + 0.5) / 16);
+            } else {
+                index = Math.round(value);
+            }
+            index = Math.max(0, Math.min(top, index));
+            row[x] = index;
+
+            if (dither === 'floyd-steinberg') {
+                // Push the rounding error on to the unvisited neighbours (7/16, 3/16, 5/16, 1/16)
+                const error = (value - index) / top * (options.invert ? -1 : 1);
+                if (x + 1 < width) levels[at + 1] += error * 7 / 16;
+                if (y + 1 < height) {
+                    if (x > 0) levels[at + width - 1] += error * 3 / 16;
+                    levels[at + width] += error * 5 / 16;
+                    if (x + 1 < width) levels[at + width + 1] += error / 16;
+                }
+            }
+        }
+        rows.push(row);
+    }
+    return { width, height, rows };
+}
+
+module.exports = {
+    DITHERS,
+    decodePNG,
+    decodeBMP,
+    decodeNetpbm,
+    decodeRaster,
+    luminance,
+    targetSize,
+    rasterToIndices
+};
@@ -0,0 +1,82 @@
+// recovery.js - Autosave snapshots the editor can offer to restore after a crash
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// EHEX_RECOVERY_DIR moves the snapshots, e.g. for a portable install
+const RECOVERY_DIR = process.env.EHEX_RECOVERY_DIR || path.join(os.homedir(), '.ehex', 'recovery');
+const AUTOSAVE_INTERVAL = 30 * 1000; // ms
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM'; // Alive, just not ours to signal
+    }
+}
+
+// Each editor session writes one snapshot, <id>.ehex, next to <id>.json describing it:
+// { filename, time, pid }. A snapshot whose process is gone was left by a crash.
+class Recovery {
+    constructor(directory = RECOVERY_DIR) {
+        this.directory = directory;
+        this.id = `${Date.now().toString(36)}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    snapshotPath(id = this.id) {
+        return path.join(this.directory, `${id}.ehex`);
+    }
+
+    infoPath(id = this.id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    // The snapshot keeps the image's own encoding, so very large images stay small
+    write(image, filename) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(this.snapshotPath(), image.encode(undefined, image.encoding));
+        fs.writeFileSync(this.infoPath(), JSON.stringify({
+            filename: filename ? path.resolve(filename) : null,
+            time: new Date().toISOString(),
+            pid: process.pid
+        }));
+    }
+
+    // Called once the work is safe (saved or knowingly discarded)
+    clear(id = this.id) {
+        for (const file of [this.snapshotPath(id), this.infoPath(id)]) {
+            try {
+                fs.unlinkSync(file);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    }
+
+    // Snapshots of sessions that ended without cleaning up, newest first
+    orphans() {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory);
+        } catch (error) {
+            return [];
+        }
+        const found = [];
+        for (const name of names.filter(entry => entry.endsWith('.json'))) {
+            const id = name.slice(0, -5);
+            try {
+                const info = JSON.parse(fs.readFileSync(this.infoPath(id), 'utf8'));
+                if (id !== this.id && !isRunning(info.pid) && fs.existsSync(this.snapshotPath(id))) {
+                    found.push(Object.assign({ id, snapshot: this.snapshotPath(id) }, info));
+                }
+            } catch (error) {
+                // Half-written or foreign file, leave it alone
+            }
+        }
+        return found.sort((a, b) => b.time.localeCompare(a.time));
+    }
+}
+
+module.exports = { Recovery, RECOVERY_DIR, AUTOSAVE_INTERVAL };
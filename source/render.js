@@ -0,0 +1,74 @@
+// render.js - Helpers for drawing EHEX pixels into blessed tagged content
+const blessed = require('blessed');
+
+// Colors are 256-color palette indices, -1 means the terminal default
+function colorTag(fg, bg) {
+    let tag = '';
+    if (fg >= 0) tag += `{${fg}-fg}`;
+    if (bg >= 0) tag += `{${bg}-bg}`;
+    return tag;
+}
+
+// Turn a row of { char, fg, bg } cells into tagged text, one tag per run of equal colors
+function formatCells(cells) {
+    let line = '';
+    let run = '';
+    let runFg = -1;
+    let runBg = -1;
+
+    const flush = () => {
+        if (!run) return;
+        const tag = colorTag(runFg, runBg);
+        line += tag ? `${tag}${run}{/}` : run;
+        run = '';
+    };
+
+    for (const cell of cells) {
+        if (cell.fg !== runFg || cell.bg !== runBg) {
+            flush();
+            runFg = cell.fg;
+            runBg = cell.bg;
+        }
+        run += blessed.escape(cell.char);
+    }
+    flush();
+
+    return line;
+}
+
+// Scaled-down overview of the whole image. Each minimap cell samples a 3x3 grid of
+// image cells and keeps the densest one, so thin lines do not vanish.
+// The part covered by view ({ x, y, width, height }) gets a blue background.
+function renderMinimap(image, maxWidth, maxHeight, view) {
+    const width = Math.min(maxWidth, image.width);
+    const height = Math.min(maxHeight, image.height);
+    const scaleX = image.width / width;
+    const scaleY = image.height / height;
+    let content = '';
+
+    for (let my = 0; my < height; my++) {
+        const cells = [];
+        const top = Math.floor(my * scaleY);
+        const bottom = Math.floor((my + 1) * scaleY);
+        for (let mx = 0; mx < width; mx++) {
+            const left = Math.floor(mx * scaleX);
+            const right = Math.floor((mx + 1) * scaleX);
+            let cell = null;
+            for (let sy = 0; sy < 3; sy++) {
+                for (let sx = 0; sx < 3; sx++) {
+                    const sample = image.getCompositeCell(
+                        Math.floor((mx + (sx + 0.5) / 3) * scaleX),
+                        Math.floor((my + (sy + 0.5) / 3) * scaleY));
+                    if (!cell || sample.char > cell.char) cell = sample;
+                }
+            }
+            const inView = view && right > view.x && left < view.x + view.width &&
+                bottom > view.y && top < view.y + view.height;
+            cells.push({ char: image.chars[cell.char], fg: cell.fg, bg: inView ? 4 : cell.bg });
+        }
+        content += formatCells(cells) + '\n';
+    }
+    return content;
+}
+
+module.exports = { colorTag, formatCells, renderMinimap };
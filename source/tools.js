@@ -0,0 +1,241 @@
+// tools.js - Geometry for the EpicHEX drawing tools
+// All functions return lists of { x, y } cells; painting them is up to the caller.
+
+const TOOLS = [
+    { id: 'brush', label: 'Brush' },
+    { id: 'spray', label: 'Spray' },
+    { id: 'line', label: 'Line' },
+    { id: 'rect', label: 'Rectangle' },
+    { id: 'rectFill', label: 'Filled rectangle' },
+    { id: 'ellipse', label: 'Ellipse' },
+    { id: 'ellipseFill', label: 'Filled ellipse' },
+    { id: 'fill', label: 'Bucket fill' },
+    { id: 'picker', label: 'Eyedropper' },
+    { id: 'text', label: 'Text' },
+    { id: 'banner', label: 'Banner text' },
+    { id: 'select', label: 'Select' }
+];
+
+const BRUSH_SHAPES = [
+    { id: 'square', label: 'square' },
+    { id: 'circle', label: 'circle' },
+    { id: 'diamond', label: 'diamond' },
+    { id: 'stamp', label: 'stamp' }
+];
+
+const MAX_BRUSH_SIZE = 32;
+
+// Radial modes rotate count copies around the center
+const SYMMETRY_MODES = [
+    { id: 'off', label: 'off' },
+    { id: 'horizontal', label: 'horizontal' },
+    { id: 'vertical', label: 'vertical' },
+    { id: 'both', label: 'both' },
+    { id: 'radial3', label: '3-way radial', count: 3 },
+    { id: 'radial4', label: '4-way radial', count: 4 },
+    { id: 'radial6', label: '6-way radial', count: 6 },
+    { id: 'radial8', label: '8-way radial', count: 8 }
+];
+
+const CELL_ASPECT = 2; // Terminal cells are about twice as tall as wide
+
+// Bresenham line, both endpoints included
+function linePoints(x0, y0, x1, y1) {
+    const points = [];
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let x = x0;
+    let y = y0;
+
+    for (;;) {
+        points.push({ x, y });
+        if (x === x1 && y === y1) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            x += sx;
+        }
+        if (e2 <= dx) {
+            err += dx;
+            y += sy;
+        }
+    }
+    return points;
+}
+
+function rectPoints(x0, y0, x1, y1, filled = false) {
+    const left = Math.min(x0, x1);
+    const right = Math.max(x0, x1);
+    const top = Math.min(y0, y1);
+    const bottom = Math.max(y0, y1);
+    const points = [];
+
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            if (filled || x === left || x === right || y === top || y === bottom) {
+                points.push({ x, y });
+            }
+        }
+    }
+    return points;
+}
+
+// Ellipse inscribed in the box spanned by the two corners. A cell is inside when its
+// center falls in the ellipse; the outline is every inside cell with an outside neighbour.
+function ellipsePoints(x0, y0, x1, y1, filled = false) {
+    const left = Math.min(x0, x1);
+    const right = Math.max(x0, x1);
+    const top = Math.min(y0, y1);
+    const bottom = Math.max(y0, y1);
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    const rx = (right - left) / 2 + 0.5;
+    const ry = (bottom - top) / 2 + 0.5;
+
+    const inside = (x, y) => {
+        const nx = (x - cx) / rx;
+        const ny = (y - cy) / ry;
+        return nx * nx + ny * ny <= 1;
+    };
+
+    const points = [];
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            if (!inside(x, y)) continue;
+            if (filled || !inside(x - 1, y) || !inside(x + 1, y) || !inside(x, y - 1) || !inside(x, y + 1)) {
+                points.push({ x, y });
+            }
+        }
+    }
+    return points;
+}
+
+function diamondPoints(x0, y0, x1, y1) {
+    const cx = (Math.min(x0, x1) + Math.max(x0, x1)) / 2;
+    const cy = (Math.min(y0, y1) + Math.max(y0, y1)) / 2;
+    const radius = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0)) / 2 + 0.5;
+    return rectPoints(x0, y0, x1, y1, true)
+        .filter(point => Math.abs(point.x - cx) + Math.abs(point.y - cy) <= radius);
+}
+
+// Cells of the stamp image that are not see-through, with its center on x, y
+function stampPoints(stamp, x, y) {
+    const left = x - Math.floor((stamp.width - 1) / 2);
+    const top = y - Math.floor((stamp.height - 1) / 2);
+    const points = [];
+    for (let sy = 0; sy < stamp.height; sy++) {
+        for (let sx = 0; sx < stamp.width; sx++) {
+            const cell = stamp.getCell(sx, sy);
+            if (cell.char !== stamp.transparent || cell.bg !== -1) {
+                points.push({ x: left + sx, y: top + sy });
+            }
+        }
+    }
+    return points;
+}
+
+// Brush of size x size cells centered on x, y (even sizes lean to the bottom-right).
+// The stamp shape takes its cells from stamp, an EHEXImage, and ignores the size.
+function brushPoints(shape, size, x, y, stamp = null) {
+    if (shape === 'stamp' && stamp) {
+        return stampPoints(stamp, x, y);
+    }
+    const left = x - Math.floor((size - 1) / 2);
+    const top = y - Math.floor((size - 1) / 2);
+    const right = left + size - 1;
+    const bottom = top + size - 1;
+    switch (shape) {
+        case 'circle': return ellipsePoints(left, top, right, bottom, true);
+        case 'diamond': return diamondPoints(left, top, right, bottom);
+        default: return rectPoints(left, top, right, bottom, true);
+    }
+}
+
+// The default charset runs from light to dense, so the neighbours of a slot look alike.
+// Returns char (or a neighbour) at random, never the blank slot 0.
+function sprayChar(char, count, random = Math.random) {
+    const pick = char + Math.floor(random() * 3) - 1;
+    return Math.max(1, Math.min(count - 1, pick));
+}
+
+// Every cell a cell painted at x, y is repeated to: 'horizontal' mirrors it to the other side
+// of the center column, 'vertical' of the center row and 'both' into all four quarters.
+// Radial modes rotate it in screen proportions, so shapes do not get squashed.
+// center is { x, y } and may lie between two cells (e.g. 9.5 for a 20 wide image).
+function symmetryPoints(mode, x, y, center) {
+    const points = [{ x, y }];
+    const mirrorX = Math.round(2 * center.x - x);
+    const mirrorY = Math.round(2 * center.y - y);
+    if (mode === 'horizontal' || mode === 'both') points.push({ x: mirrorX, y });
+    if (mode === 'vertical' || mode === 'both') points.push({ x, y: mirrorY });
+    if (mode === 'both') points.push({ x: mirrorX, y: mirrorY });
+
+    const radial = SYMMETRY_MODES.find(symmetry => symmetry.id === mode);
+    if (radial && radial.count) {
+        const dx = x - center.x;
+        const dy = (y - center.y) * CELL_ASPECT;
+        for (let i = 1; i < radial.count; i++) {
+            const angle = 2 * Math.PI * i / radial.count;
+            points.push({
+                x: Math.round(center.x + dx * Math.cos(angle) - dy * Math.sin(angle)),
+                y: Math.round(center.y + (dx * Math.sin(angle) + dy * Math.cos(angle)) / CELL_ASPECT)
+            });
+        }
+    }
+    // Cells on an axis land on themselves
+    return points.filter((point, index) => points.findIndex(other => other.x === point.x && other.y === point.y) === index);
+}
+
+function shapePoints(tool, x0, y0, x1, y1) {
+    switch (tool) {
+        case 'line': return linePoints(x0, y0, x1, y1);
+        case 'rect': return rectPoints(x0, y0, x1, y1, false);
+        case 'rectFill': return rectPoints(x0, y0, x1, y1, true);
+        case 'ellipse': return ellipsePoints(x0, y0, x1, y1, false);
+        case 'ellipseFill': return ellipsePoints(x0, y0, x1, y1, true);
+        default: return [];
+    }
+}
+
+// Contiguous region of the same char index on the image's current layer.
+// connectivity is 4 (edges only) or 8 (edges and corners).
+function floodFillPoints(image, startX, startY, connectivity = 4) {
+    if (startX < 0 || startX >= image.width || startY < 0 || startY >= image.height) {
+        return [];
+    }
+
+    const target = image.getPixel(startX, startY);
+    const neighbours = connectivity === 8 ?
+        [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]] :
+        [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const visited = new Uint8Array(image.width * image.height);
+    const stack = [startX, startY];
+    const points = [];
+    visited[startY * image.width + startX] = 1;
+
+    while (stack.length > 0) {
+        const y = stack.pop();
+        const x = stack.pop();
+        points.push({ x, y });
+
+        for (const [dx, dy] of neighbours) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= image.width || ny < 0 || ny >= image.height) continue;
+            const index = ny * image.width + nx;
+            if (visited[index] || image.getPixel(nx, ny) !== target) continue;
+            visited[index] = 1;
+            stack.push(nx, ny);
+        }
+    }
+    return points;
+}
+
+module.exports = {
+    TOOLS, BRUSH_SHAPES, MAX_BRUSH_SIZE, SYMMETRY_MODES,
+    linePoints, rectPoints, ellipsePoints, diamondPoints, stampPoints, brushPoints, sprayChar, symmetryPoints,
+    shapePoints, floodFillPoints
+};
@@ -1,30 +1,63 @@
 // viewer.js
 const blessed = require('blessed');
 const fs = require('fs');
-const { EHEXImage } = require('./main.js');
+const path = require('path');
+const { EHEXImage, METADATA_KEYS, formatDiagnostic } = require('./image.js');
+const { loadSync, saveSync } = require('./files.js');
+const { formatCells, renderMinimap } = require('./render.js');
+const { FileBrowser } = require('./filebrowser.js');
+const { Gallery, collectImages, listImages } = require('./gallery.js');
+
+const SLIDESHOW_INTERVAL = 5000; // ms, animations also get the time to play once
+const RELOAD_DELAY = 150; // ms without further changes before the file is read again
+const RELOAD_SETTLE = 1000; // ms before a file that did not parse is read again, leniently
+const HIGHLIGHT_TIME = 1500; // ms changed cells stay highlighted after a reload
+const HIGHLIGHT_BG = 3;
 
 class EHEXViewer {
-    constructor(filename = null) {
+    // paths: one file name, or a list of files, directories and patterns such as art/*.ehex
+    // options.watch: reload the shown file whenever it changes on disk
+    constructor(paths = [], options = {}) {
+        paths = typeof paths === 'string' ? [paths] : paths || [];
         this.screen = blessed.screen({
             smartCSR: true,
             title: 'EpicHEX Image Viewer'
         });
 
         this.currentImage = new EHEXImage(20, 10);
-        this.filename = filename;
+        this.filename = null;
+        this.playlist = []; // Images stepped through with N/P, in the gallery and by the slideshow
+        this.playlistIndex = -1;
+        this.slideshow = false;
+        this.slideTimer = null;
+        this.watching = Boolean(options.watch);
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.reloadStatus = '';
+        this.changedCells = new Set(); // "x,y" of cells that changed in the last reload
+        this.highlightTimer = null;
         this.fitMode = false;
+        this.tilePreview = false; // Fill the view with copies of the image to check a pattern
+        this.playing = false;
+        this.loop = true;
+        this.playTimer = null;
+        this.viewX = 0; // Top-left image cell shown in the canvas
+        this.viewY = 0;
 
         this.initUI();
 
-        // Load file if provided via command line
-        if (this.filename && fs.existsSync(this.filename)) {
-            this.loadImage(this.filename);
+        // Load files if provided via command line, otherwise let the user pick one
+        const files = collectImages(paths).filter(file => fs.existsSync(file));
+        if (paths.length === 1 && files.length === 1) {
+            this.openFile(files[0]);
+        } else if (files.length > 0) {
+            this.playlist = files;
+            this.showImage(0);
         } else {
-            // Try to load any .ehex file
-            const ehexFiles = fs.readdirSync('.').filter(f => f.endsWith('.ehex'));
-            if (ehexFiles.length > 0) {
-                this.loadImage(ehexFiles[0]);
+            if (paths.length > 0) {
+                this.infoPanel.setContent(` No images found in ${paths.join(' ')} `);
             }
+            this.showOpenDialog();
         }
 
         this.bindEvents();
@@ -40,7 +73,7 @@ class EHEXViewer {
             height: 3,
             border: { type: 'line' },
             style: { border: { fg: 'cyan' } },
-            content: ' EpicHEX Image Viewer | F10 - Quit F11 - Fit | Drag .ehex files to view | Made by ColorProgrammy '
+            content: ' EpicHEX Image Viewer | F10 - Quit F11 - Fit L - Open W - Save Copy N/P - Next/Prev G - Gallery S - Slideshow R - Watch T - Tile Space - Play [/] - Frame Arrows/PgUp/PgDn - Scroll | Drag .ehex files to view | Made by ColorProgrammy '
         });
 
         // Image display with green border
@@ -54,6 +87,7 @@ class EHEXViewer {
             parent: this.imageBox,
             top: 1,
             left: 1,
+            tags: true,
             content: ''
         });
 
@@ -63,12 +97,32 @@ class EHEXViewer {
             bottom: 0,
             left: 0,
             width: '100%',
-            height: 6,
+            height: 7,
             border: { type: 'line' },
             style: { border: { fg: 'yellow' } },
             content: 'No image loaded\n\nDrag .ehex files onto the viewer window'
         });
 
+        // Minimap, only shown when the image does not fit
+        this.minimap = blessed.box({
+            parent: this.screen,
+            top: 3,
+            right: 0,
+            width: 26,
+            height: 10,
+            hidden: true,
+            tags: true,
+            border: { type: 'line' },
+            style: { border: { fg: 'blue' } },
+            content: ''
+        });
+
+        // Open and Save As dialog
+        this.fileBrowser = new FileBrowser(this.screen);
+
+        // Thumbnails of the playlist
+        this.gallery = new Gallery(this.screen);
+
         // Set initial layout
         this.updateLayout();
     }
@@ -80,34 +134,266 @@ class EHEXViewer {
         });
         
         this.screen.key(['f11'], () => this.toggleFitMode());
+        this.screen.key(['l'], () => this.showOpenDialog());
+        this.screen.key(['w'], () => this.showSaveAsDialog());
+        this.screen.key(['n'], () => this.stepImage(1));
+        this.screen.key(['p'], () => this.stepImage(-1));
+        this.screen.key(['g'], () => this.showGallery());
+        this.screen.key(['s'], () => this.toggleSlideshow());
+        this.screen.key(['r'], () => this.toggleWatch());
+        this.screen.key(['t'], () => this.toggleTilePreview());
+        this.screen.key(['space'], () => this.togglePlayback());
+        this.screen.key(['o'], () => this.toggleLoop());
+        this.screen.key(['['], () => this.stepFrame(-1));
+        this.screen.key([']'], () => this.stepFrame(1));
+        this.screen.key(['left'], () => this.scroll(-1, 0));
+        this.screen.key(['right'], () => this.scroll(1, 0));
+        this.screen.key(['up'], () => this.scroll(0, -1));
+        this.screen.key(['down'], () => this.scroll(0, 1));
+        this.screen.key(['S-left'], () => this.scroll(-this.canvas.width, 0));
+        this.screen.key(['S-right'], () => this.scroll(this.canvas.width, 0));
+        this.screen.key(['pageup'], () => this.scroll(0, -this.canvas.height));
+        this.screen.key(['pagedown'], () => this.scroll(0, this.canvas.height));
+        this.screen.key(['home'], () => this.scroll(-this.viewX, -this.viewY));
+        this.screen.on('resize', () => {
+            this.updateLayout();
+            this.updateDisplay();
+            this.updateInfo();
+        });
+    }
+
+    showOpenDialog() {
+        this.fileBrowser.show({ mode: 'open', filename: this.filename }, filename => {
+            if (filename) this.openFile(filename);
+        });
+    }
+
+    // A single file brings the other images of its directory along for N/P
+    openFile(filename) {
+        let siblings = [];
+        try {
+            siblings = listImages(path.dirname(filename));
+        } catch (error) {
+            // Unreadable directory, view the file on its own
+        }
+        const index = siblings.findIndex(file => path.resolve(file) === path.resolve(filename));
+        if (index === -1) {
+            this.playlist = [filename];
+            this.showImage(0);
+        } else {
+            this.playlist = siblings;
+            this.showImage(index);
+        }
+    }
+
+    showImage(index) {
+        if (this.playlist.length === 0) return;
+        this.playlistIndex = (index + this.playlist.length) % this.playlist.length;
+        this.loadImage(this.playlist[this.playlistIndex]);
+    }
+
+    stepImage(delta) {
+        this.showImage(this.playlistIndex + delta);
+        if (this.slideshow) {
+            this.scheduleNextSlide(); // A manual step gets a full interval too
+        }
+    }
+
+    showGallery() {
+        if (this.playlist.length === 0) return;
+        this.gallery.show(this.playlist, this.playlistIndex, index => {
+            if (index !== null && index !== this.playlistIndex) this.stepImage(index - this.playlistIndex);
+        });
+    }
+
+    toggleSlideshow() {
+        if (this.slideshow) {
+            this.slideshow = false;
+            clearTimeout(this.slideTimer);
+            this.slideTimer = null;
+        } else if (this.playlist.length > 1) {
+            this.slideshow = true;
+            this.scheduleNextSlide();
+        }
+        this.updateInfo();
+    }
+
+    scheduleNextSlide() {
+        const duration = this.currentImage.frames.reduce((total, frame) => total + frame.delay, 0);
+        clearTimeout(this.slideTimer);
+        this.slideTimer = setTimeout(() => {
+            // Wait while a dialog is open so the image does not change underneath it
+            if (!this.gallery.visible && !this.fileBrowser.visible) {
+                this.showImage(this.playlistIndex + 1);
+            }
+            this.scheduleNextSlide();
+        }, this.currentImage.frames.length > 1 ? Math.max(SLIDESHOW_INTERVAL, duration) : SLIDESHOW_INTERVAL);
+    }
+
+    // Writes a copy of what is shown, including repairs made while loading
+    showSaveAsDialog() {
+        if (!this.filename) return;
+        this.fileBrowser.show({ mode: 'save', title: 'Save Copy As', filename: this.filename }, filename => {
+            if (!filename) return;
+            try {
+                saveSync(this.currentImage, filename);
+                this.infoPanel.setContent(` Saved a copy as ${filename} `);
+            } catch (error) {
+                this.infoPanel.setContent(` Error saving ${filename}: ${error.message} `);
+            }
+            this.screen.render();
+        });
     }
 
     loadImage(filename) {
         try {
+            // A file that cannot be read leaves the shown image, and its name, as they were
+            const image = loadSync(filename, { lenient: true });
+            this.stopPlayback();
             this.filename = filename;
-            this.currentImage.load(this.filename);
+            this.currentImage = image;
+            this.viewX = 0;
+            this.viewY = 0;
             this.updateLayout();
             this.updateDisplay();
             this.updateInfo();
+
+            this.reloadStatus = '';
+            this.clearHighlight();
+            if (this.watching) {
+                this.watchFile();
+            }
+
+            // Animations start playing right away
+            if (this.currentImage.frames.length > 1) {
+                this.startPlayback();
+            }
         } catch (error) {
             this.infoPanel.setContent(` Error loading ${filename}: ${error.message} `);
             this.screen.render();
         }
     }
 
+    toggleWatch() {
+        this.watching = !this.watching;
+        if (this.watching) {
+            this.watchFile();
+        } else {
+            this.unwatchFile();
+            this.reloadStatus = '';
+        }
+        this.updateInfo();
+    }
+
+    // The directory is watched rather than the file, so files replaced by a rename
+    // (how many programs save) keep being followed
+    watchFile() {
+        this.unwatchFile();
+        if (!this.filename) return;
+        const name = path.basename(this.filename);
+        try {
+            this.watcher = fs.watch(path.dirname(path.resolve(this.filename)), (event, changed) => {
+                if (!changed || changed === name) this.scheduleReload();
+            });
+        } catch (error) {
+            this.watching = false;
+            this.reloadStatus = `Cannot watch: ${error.message}`;
+        }
+    }
+
+    unwatchFile() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+    }
+
+    // A script writing a file causes a burst of events, only the last one counts
+    scheduleReload() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reloadImage(false), RELOAD_DELAY);
+    }
+
+    // A file that does not parse is most likely still being written, so the previous
+    // version stays up. If nothing changes for a while it is shown with repairs instead.
+    reloadImage(settled) {
+        this.reloadTimer = null;
+        let image;
+        try {
+            image = loadSync(this.filename, { lenient: settled });
+        } catch (error) {
+            if (!settled) {
+                this.reloadTimer = setTimeout(() => this.reloadImage(true), RELOAD_SETTLE);
+            } else {
+                this.reloadStatus = `Reload failed: ${error.message}`;
+                this.updateInfo();
+            }
+            return;
+        }
+
+        const previous = this.currentImage;
+        const playing = this.playing;
+        this.stopPlayback();
+        image.selectFrame(Math.min(previous.currentFrame, image.frames.length - 1));
+        this.currentImage = image;
+        this.highlightChanges(previous, image);
+        this.reloadStatus = `Reloaded at ${new Date().toLocaleTimeString()}, ${this.changedCells.size} cell(s) changed`;
+
+        // The scroll position stays where it was, clamped to the new size
+        this.updateLayout();
+        this.updateDisplay();
+        this.updateInfo();
+        if (playing) {
+            this.startPlayback();
+        }
+    }
+
+    // Compares what is shown: the composite of the current frame
+    highlightChanges(previous, image) {
+        const oldFrame = Math.min(image.currentFrame, previous.frames.length - 1);
+        this.changedCells = new Set();
+        for (let y = 0; y < image.height; y++) {
+            for (let x = 0; x < image.width; x++) {
+                const cell = image.getCompositeCell(x, y);
+                const old = previous.getCompositeCell(x, y, oldFrame);
+                if (x >= previous.width || y >= previous.height || cell.fg !== old.fg || cell.bg !== old.bg ||
+                    image.chars[cell.char] !== previous.chars[old.char]) {
+                    this.changedCells.add(`${x},${y}`);
+                }
+            }
+        }
+        clearTimeout(this.highlightTimer);
+        this.highlightTimer = setTimeout(() => {
+            this.clearHighlight();
+            this.updateDisplay();
+        }, HIGHLIGHT_TIME);
+    }
+
+    clearHighlight() {
+        clearTimeout(this.highlightTimer);
+        this.highlightTimer = null;
+        this.changedCells = new Set();
+    }
+
     updateLayout() {
         if (this.fitMode) {
             // Fit mode: hide header and info, resize imageBox to fit image exactly
             this.header.hide();
             this.infoPanel.hide();
             
-            this.imageBox.width = this.currentImage.width + 4;
-            this.imageBox.height = this.currentImage.height + 4;
+            // Images larger than the terminal still scroll, tiled ones take all the room
+            const fitWidth = this.viewSize(this.currentImage.width, this.screen.width - 4);
+            const fitHeight = this.viewSize(this.currentImage.height, this.screen.height - 4);
+            
+            this.imageBox.width = fitWidth + 4;
+            this.imageBox.height = fitHeight + 4;
             this.imageBox.top = 'center';
             this.imageBox.left = 'center';
             
-            this.canvas.width = this.currentImage.width;
-            this.canvas.height = this.currentImage.height;
+            this.canvas.width = fitWidth;
+            this.canvas.height = fitHeight;
             
             this.screen.title = `EpicHEX Viewer - ${this.filename} (${this.currentImage.width}x${this.currentImage.height})`;
         } else {
@@ -116,8 +402,8 @@ class EHEXViewer {
             this.infoPanel.show();
             
             // Calculate display size that fits on screen
-            const maxWidth = Math.min(this.currentImage.width, this.screen.width - 10);
-            const maxHeight = Math.min(this.currentImage.height, this.screen.height - 15);
+            const maxWidth = this.viewSize(this.currentImage.width, this.screen.width - 10);
+            const maxHeight = this.viewSize(this.currentImage.height, this.screen.height - 15);
             
             this.imageBox.width = maxWidth + 4;
             this.imageBox.height = maxHeight + 4;
@@ -129,6 +415,30 @@ class EHEXViewer {
             
             this.screen.title = 'EpicHEX Image Viewer v1.1';
         }
+        this.clampView();
+    }
+
+    viewSize(imageSize, available) {
+        return this.tilePreview ? Math.max(1, available) : Math.min(imageSize, available);
+    }
+
+    // A tiled view scrolls forever, the offset just wraps around
+    clampView() {
+        if (this.tilePreview) {
+            this.viewX = ((this.viewX % this.currentImage.width) + this.currentImage.width) % this.currentImage.width;
+            this.viewY = ((this.viewY % this.currentImage.height) + this.currentImage.height) % this.currentImage.height;
+            return;
+        }
+        this.viewX = Math.max(0, Math.min(this.viewX, this.currentImage.width - this.canvas.width));
+        this.viewY = Math.max(0, Math.min(this.viewY, this.currentImage.height - this.canvas.height));
+    }
+
+    scroll(dx, dy) {
+        this.viewX += dx;
+        this.viewY += dy;
+        this.clampView();
+        this.updateDisplay();
+        this.updateInfo();
     }
 
     toggleFitMode() {
@@ -139,37 +449,139 @@ class EHEXViewer {
         this.screen.render();
     }
 
+    toggleTilePreview() {
+        this.tilePreview = !this.tilePreview;
+        this.updateLayout();
+        this.updateDisplay();
+        this.updateInfo();
+    }
+
+    startPlayback() {
+        if (this.currentImage.frames.length < 2) return;
+        this.playing = true;
+        this.scheduleNextFrame();
+        this.updateInfo();
+    }
+
+    stopPlayback() {
+        this.playing = false;
+        clearTimeout(this.playTimer);
+        this.playTimer = null;
+    }
+
+    togglePlayback() {
+        if (this.playing) {
+            this.stopPlayback();
+            this.updateInfo();
+        } else {
+            // Restart from the beginning when a non-looping animation already finished
+            const image = this.currentImage;
+            if (!this.loop && image.currentFrame === image.frames.length - 1) {
+                image.selectFrame(0);
+                this.updateDisplay();
+            }
+            this.startPlayback();
+        }
+    }
+
+    toggleLoop() {
+        this.loop = !this.loop;
+        this.updateInfo();
+    }
+
+    // Each frame stays on screen for its own stored delay
+    scheduleNextFrame() {
+        const image = this.currentImage;
+        const delay = image.frames[image.currentFrame].delay;
+        clearTimeout(this.playTimer);
+        this.playTimer = setTimeout(() => {
+            const next = image.currentFrame + 1;
+            if (next >= image.frames.length && !this.loop) {
+                this.stopPlayback();
+                this.updateInfo();
+                return;
+            }
+            image.selectFrame(next % image.frames.length);
+            this.updateDisplay();
+            this.updateInfo();
+            if (this.playing) {
+                this.scheduleNextFrame();
+            }
+        }, delay);
+    }
+
+    stepFrame(delta) {
+        this.stopPlayback();
+        const image = this.currentImage;
+        image.selectFrame((image.currentFrame + delta + image.frames.length) % image.frames.length);
+        this.updateDisplay();
+        this.updateInfo();
+    }
+
     updateDisplay() {
         let display = '';
         const width = this.canvas.width;
         const height = this.canvas.height;
+        const image = this.currentImage;
         
-        for (let y = 0; y < height; y++) {
-            let line = '';
-            for (let x = 0; x < width; x++) {
-                if (y < this.currentImage.height && x < this.currentImage.width) {
-                    const charIndex = this.currentImage.getPixel(x, y);
-                    line += this.currentImage.chars[charIndex];
+        for (let sy = 0; sy < height; sy++) {
+            const cells = [];
+            const y = this.tilePreview ? (this.viewY + sy) % image.height : this.viewY + sy;
+            for (let sx = 0; sx < width; sx++) {
+                const x = this.tilePreview ? (this.viewX + sx) % image.width : this.viewX + sx;
+                if (y < image.height && x < image.width) {
+                    const cell = image.getCompositeCell(x, y);
+                    const bg = this.changedCells.has(`${x},${y}`) ? HIGHLIGHT_BG : cell.bg;
+                    cells.push({ char: image.chars[cell.char], fg: cell.fg, bg });
                 } else {
-                    line += ' '; // Fill with spaces if beyond image bounds
+                    cells.push({ char: ' ', fg: -1, bg: -1 }); // Fill with spaces if beyond image bounds
                 }
             }
-            display += line + '\n';
+            display += formatCells(cells) + '\n';
         }
         this.canvas.setContent(display);
+        this.updateMinimap();
         this.screen.render();
     }
 
+    updateMinimap() {
+        const image = this.currentImage;
+        const cropped = this.canvas.width < image.width || this.canvas.height < image.height;
+        if (!cropped || this.fitMode) {
+            this.minimap.hide();
+            return;
+        }
+        const view = { x: this.viewX, y: this.viewY, width: this.canvas.width, height: this.canvas.height };
+        this.minimap.setContent(renderMinimap(image, this.minimap.width - 2, this.minimap.height - 2, view));
+        this.minimap.show();
+    }
+
     updateInfo() {
         if (!this.fitMode) {
             const displayWidth = Math.min(this.currentImage.width, this.canvas.width);
             const displayHeight = Math.min(this.currentImage.height, this.canvas.height);
             const displayInfo = displayWidth < this.currentImage.width || displayHeight < this.currentImage.height ? 
-                `Display: ${displayWidth}x${displayHeight} (cropped)` : `Display: ${displayWidth}x${displayHeight}`;
+                `Display: ${displayWidth}x${displayHeight} at ${this.viewX},${this.viewY} (scroll with arrows)` : `Display: ${displayWidth}x${displayHeight}`;
                 
-            const info = `Image: ${this.filename}\nSize: ${this.currentImage.width}x${this.currentImage.height}\nFormat: EHEX v${this.currentImage.version}`;
+            const image = this.currentImage;
+            // Problems repaired while loading go next to the format, the panel has little room
+            const warnings = image.warnings.length > 0 ?
+                ` | ${image.warnings.length} problem(s) repaired, first at ${formatDiagnostic(image.warnings[0])}` : '';
+            const upgraded = image.upgradedFrom ? ` (upgraded from v${image.upgradedFrom})` : '';
+            const position = this.playlist.length > 1 ? ` (${this.playlistIndex + 1}/${this.playlist.length})` : '';
+            const info = `Image: ${this.filename}${position}\nSize: ${image.width}x${image.height}\nFormat: EHEX v${image.version} (${image.encoding})${upgraded}${warnings}`;
+            // All metadata on one line, known keys first
+            const keys = METADATA_KEYS.filter(key => image.metadata[key] !== undefined)
+                .concat(Object.keys(image.metadata).filter(key => !METADATA_KEYS.includes(key)));
+            const metadataInfo = keys.length > 0 ?
+                '\n' + keys.map(key => `${key[0].toUpperCase()}${key.substring(1)}: ${image.metadata[key].replace(/\n/g, ' / ')}`).join(' | ') : '';
+            const frameInfo = image.frames.length > 1 ?
+                ` | Frame ${image.currentFrame + 1}/${image.frames.length} | ${this.playing ? 'Playing' : 'Paused'} | Loop ${this.loop ? 'on' : 'off'} (O)` : '';
+            const slideshowInfo = (this.slideshow ? ' | Slideshow (S)' : '') + (this.tilePreview ? ' | Tiled (T)' : '');
+            const watchInfo = this.watching ? ` | Watching (R)${this.reloadStatus ? `: ${this.reloadStatus}` : ''}` :
+                (this.reloadStatus ? ` | ${this.reloadStatus}` : '');
             const controls = `\nPress F11 to toggle fit mode\nPress F10 or Ctrl+C to quit`;
-            this.infoPanel.setContent(`${info}\n${displayInfo}${controls}`);
+            this.infoPanel.setContent(`${info}${metadataInfo}\n${displayInfo}${frameInfo}${slideshowInfo}${watchInfo}${controls}`);
         }
         this.screen.render();
     }
@@ -183,7 +595,8 @@ class EHEXViewer {
 
 // Main execution
 if (require.main === module) {
-    const filename = process.argv[2] || null;
+    const args = process.argv.slice(2);
+    const paths = args.filter(arg => arg !== '--watch');
     
     try {
         require('blessed');
@@ -193,7 +606,7 @@ if (require.main === module) {
         execSync('npm install blessed', { stdio: 'inherit' });
     }
     
-    const viewer = new EHEXViewer(filename);
+    const viewer = new EHEXViewer(paths, { watch: args.includes('--watch') });
     viewer.run();
     
     console.log('EpicHEX Viewer v1.1 started!');
@@ -0,0 +1,87 @@
+// files.test.js - Loading and saving images through files and streams
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { EHEXImage, load, save, loadSync, saveSync, fromStream, toStream } = require('../source/index.js');
+const { sampleImage } = require('./fixtures.js');
+
+let directory;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ehex-test-'));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('save and load', async () => {
+    const file = path.join(directory, 'async.ehex');
+    await save(sampleImage(), file);
+    assert.ok(fs.readFileSync(file, 'utf8').startsWith('EHEX2\n'));
+
+    const image = await load(file);
+    assert.equal(image.width, 4);
+    assert.equal(image.getPixel(1, 1), 7);
+});
+
+test('load rejects with the parse error', async () => {
+    const file = path.join(directory, 'broken.ehex');
+    fs.writeFileSync(file, 'not an image');
+    await assert.rejects(load(file), { name: 'EHEXParseError' });
+    await assert.rejects(load(path.join(directory, 'missing.ehex')), { code: 'ENOENT' });
+});
+
+test('saving keeps the encoding the image was loaded with', async () => {
+    const file = path.join(directory, 'binary.ehex');
+    saveSync(sampleImage(), file, { encoding: 'binary' });
+    const image = loadSync(file);
+    assert.equal(image.encoding, 'binary');
+
+    const copy = path.join(directory, 'copy.ehex');
+    await save(image, copy);
+    assert.deepEqual(fs.readFileSync(copy), fs.readFileSync(file));
+});
+
+test('fromStream parses a whole stream', async () => {
+    const file = path.join(directory, 'stream.ehex');
+    saveSync(sampleImage(), file, { encoding: 'rle' });
+    const image = await fromStream(fs.createReadStream(file, { highWaterMark: 8 }));
+    assert.equal(image.encoding, 'rle');
+    assert.equal(image.getPixel(1, 1), 7);
+});
+
+test('the file methods of EHEXImage still work', () => {
+    const file = path.join(directory, 'methods.ehex');
+    const image = sampleImage();
+    image.save(file, undefined, 'rle');
+    assert.equal(image.encoding, 'rle');
+
+    const loaded = new EHEXImage();
+    assert.deepEqual(loaded.load(file), []);
+    assert.equal(loaded.encoding, 'rle');
+    assert.equal(loaded.getPixel(1, 1), 7);
+});
+
+test('importRaster takes a file name or the bytes of a bitmap', () => {
+    // 2x1 binary PGM: black, white
+    const file = path.join(directory, 'bitmap.pgm');
+    fs.writeFileSync(file, Buffer.concat([Buffer.from('P5 2 1 255\n'), Buffer.from([0, 255])]));
+    const byName = new EHEXImage();
+    byName.importRaster(file, { width: 2 });
+    const byData = new EHEXImage();
+    byData.importRaster(fs.readFileSync(file), { width: 2 });
+    assert.equal(byName.width, 2);
+    assert.deepEqual(Array.from(byName.pixels[0]), Array.from(byData.pixels[0]));
+});
+
+test('toStream can be piped into a file', async () => {
+    const file = path.join(directory, 'piped.ehex');
+    await pipeline(toStream(sampleImage(), { encoding: 'binary' }), fs.createWriteStream(file));
+    const image = loadSync(file);
+    assert.equal(image.encoding, 'binary');
+    assert.equal(image.getPixel(1, 1), 7);
+});
@@ -0,0 +1,14 @@
+// fixtures.js - Images shared by the tests
+const { EHEXImage } = require('../source/image.js');
+
+// 4x3 with two pixels, one colored cell and a title, so every part of the format is written
+function sampleImage() {
+    const image = new EHEXImage(4, 3);
+    image.setPixel(1, 1, 7);
+    image.setPixel(3, 2, 15);
+    image.setColor(2, 0, 1, 4);
+    image.setMetadata('title', 'Sample');
+    return image;
+}
+
+module.exports = { sampleImage };
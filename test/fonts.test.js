@@ -0,0 +1,48 @@
+// fonts.test.js - FIGlet font parsing and banner text layout
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFont, loadFont, listFonts, renderText, textPoints } = require('../source/fonts.js');
+
+// Two rows high, only A and the space have glyphs, plus one code-tagged character
+function tinyFont() {
+    const lines = ['flf2a$ 2 1 4 0 1', 'tiny test font'];
+    for (let code = 32; code <= 126; code++) {
+        lines.push(...(code === 65 ? ['/\\@', '/\\@@'] : code === 32 ? ['$@', '$@@'] : ['@', '@@']));
+    }
+    for (let i = 0; i < 7; i++) {
+        lines.push('@', '@@');
+    }
+    lines.push('0x263A  WHITE SMILING FACE', ':)@', '  @@');
+    return lines.join('\r\n');
+}
+
+test('parseFont reads the header, glyphs and tagged characters', () => {
+    const font = parseFont(tinyFont(), 'tiny');
+    assert.equal(font.height, 2);
+    assert.equal(font.comment, 'tiny test font');
+    assert.deepEqual(font.glyphs.get(65), ['/\\', '/\\']);
+    assert.deepEqual(font.glyphs.get(32), [' ', ' ']);
+    assert.deepEqual(font.glyphs.get(0x263A), [':)', '  ']);
+});
+
+test('parseFont rejects other files', () => {
+    assert.throws(() => parseFont('hello', 'x'), /Not a FIGlet font/);
+    assert.throws(() => parseFont('PK\u0003\u0004', 'x'), /Zipped/);
+    assert.throws(() => parseFont('flf2a$ 2 1 4 0 0\n@\n@@', 'x'), /cut off/);
+});
+
+test('renderText puts glyphs side by side and lines below each other', () => {
+    const font = parseFont(tinyFont());
+    assert.deepEqual(renderText(font, 'A A'), ['/\\ /\\', '/\\ /\\']);
+    assert.deepEqual(renderText(font, 'A\n☺'), ['/\\', '/\\', ':)', '  ']);
+    assert.deepEqual(textPoints(font, 'A'), [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }]);
+});
+
+test('the bundled fonts load', () => {
+    assert.deepEqual(listFonts(), ['block', 'block-wide']);
+    const block = loadFont('block');
+    assert.equal(block.height, 5);
+    assert.deepEqual(renderText(block, 'I'), ['### ', ' #  ', ' #  ', ' #  ', '### ']);
+    assert.equal(loadFont('block-wide').glyphs.get(73)[0], '######  ');
+    assert.throws(() => loadFont('no-such-font'), /Font not found/);
+});
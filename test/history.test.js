@@ -0,0 +1,82 @@
+// history.test.js - Undo and redo of cell edits and snapshots
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EHEXImage } = require('../source/image.js');
+const { EditHistory } = require('../source/history.js');
+
+function paint(history, image, x, y, char) {
+    const before = image.getCell(x, y);
+    const after = Object.assign({}, before, { char });
+    image.setCell(x, y, after);
+    history.recordCell(x, y, before, after);
+}
+
+test('a transaction undoes and redoes as one step', () => {
+    const image = new EHEXImage(4, 4);
+    const history = new EditHistory();
+    history.begin('Stroke', image.location());
+    paint(history, image, 0, 0, 3);
+    paint(history, image, 1, 0, 3);
+    paint(history, image, 0, 0, 5);
+    assert.equal(history.commit(), true);
+
+    assert.equal(history.undo(image), 'Stroke');
+    assert.equal(image.getPixel(0, 0), 0);
+    assert.equal(image.getPixel(1, 0), 0);
+    assert.equal(history.redo(image), 'Stroke');
+    assert.equal(image.getPixel(0, 0), 5);
+    assert.equal(image.getPixel(1, 0), 3);
+});
+
+test('a transaction without changes is dropped', () => {
+    const image = new EHEXImage(4, 4);
+    const history = new EditHistory();
+    history.begin('Nothing', image.location());
+    paint(history, image, 0, 0, 0);
+    assert.equal(history.commit(), false);
+    assert.equal(history.canUndo(), false);
+});
+
+test('snapshots restore structural changes', () => {
+    const image = new EHEXImage(4, 4);
+    const history = new EditHistory();
+    const before = image.snapshot();
+    image.resize(8, 2);
+    history.recordSnapshot('Resize', before, image.snapshot());
+
+    history.undo(image);
+    assert.equal(image.width, 4);
+    assert.equal(image.height, 4);
+    history.redo(image);
+    assert.equal(image.width, 8);
+});
+
+test('undoing back to the saved state is unmodified', () => {
+    const image = new EHEXImage(4, 4);
+    const history = new EditHistory();
+    history.markSaved();
+    history.begin('Paint', image.location());
+    paint(history, image, 2, 2, 1);
+    history.commit();
+    assert.equal(history.isModified(), true);
+    history.undo(image);
+    assert.equal(history.isModified(), false);
+});
+
+test('old entries are dropped over the budget', () => {
+    const image = new EHEXImage(4, 4);
+    const history = new EditHistory(2);
+    for (let char = 1; char <= 3; char++) {
+        history.begin(`Paint ${char}`, image.location());
+        paint(history, image, 0, 0, char);
+        history.commit();
+    }
+    assert.deepEqual(history.undoStack.map(entry => entry.label), ['Paint 2', 'Paint 3']);
+});
+
+test('snapshots count the color grids in the budget', () => {
+    const image = new EHEXImage(10, 10);
+    const history = new EditHistory();
+    history.recordSnapshot('Snapshot', image.snapshot(), image.snapshot());
+    assert.equal(history.cellCount, 2 * 10 * 10 * 3);
+});
@@ -0,0 +1,155 @@
+// image.test.js - Parsing, serializing and the value helpers of the EHEX format
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { EHEXImage, EHEXParseError, ENCODINGS, parse, serialize, clone, update } = require('../source/index.js');
+const { sampleImage } = require('./fixtures.js');
+
+test('the library loads without the terminal UI', () => {
+    const script = "require('./source/index.js'); " +
+        "process.exit(Object.keys(require.cache).some(file => file.includes('blessed')) ? 1 : 0)";
+    const result = spawnSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') });
+    assert.equal(result.status, 0, String(result.stderr));
+});
+
+test('the format works without Node globals and without loading zlib', () => {
+    const script = "delete globalThis.Buffer; const { EHEXImage, parse, serialize } = require('./source/image.js'); " +
+        "const image = parse(serialize(new EHEXImage(3, 2))); " +
+        "process.exit(image.width === 3 && !Object.keys(require.cache).some(file => file.endsWith('raster.js')) ? 0 : 1)";
+    const result = spawnSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') });
+    assert.equal(result.status, 0, String(result.stderr));
+});
+
+test('serialize writes text that parse reads back', () => {
+    const image = new EHEXImage(4, 2);
+    image.setPixel(1, 1, 7);
+    assert.equal(serialize(image), 'EHEX2\nV2\nSIZE:4x2\nPIXELS:\n0000\n0700\n');
+    assert.equal(parse(serialize(image)).getPixel(1, 1), 7);
+});
+
+for (const encoding of ENCODINGS) {
+    test(`round trip with the ${encoding} encoding`, () => {
+        const data = serialize(sampleImage(), { encoding });
+        assert.equal(Buffer.isBuffer(data), encoding === 'binary');
+
+        const image = parse(data);
+        assert.equal(image.encoding, encoding);
+        assert.equal(image.version, 3);
+        assert.equal(image.width, 4);
+        assert.equal(image.height, 3);
+        assert.deepEqual(image.getCell(1, 1), { char: 7, fg: -1, bg: -1 });
+        assert.deepEqual(image.getCell(3, 2), { char: 15, fg: -1, bg: -1 });
+        assert.deepEqual(image.getCell(2, 0), { char: 0, fg: 1, bg: 4 });
+        assert.equal(image.metadata.title, 'Sample');
+    });
+}
+
+test('serialize leaves the version and encoding of the image alone', () => {
+    const image = new EHEXImage(4, 2);
+    serialize(image, { version: 3, encoding: 'binary' });
+    serialize(image, { version: 2, encoding: 'rle' });
+    assert.equal(image.version, 2);
+    assert.equal(image.encoding, 'text');
+    assert.ok(Buffer.isBuffer(serialize(parse(serialize(image, { encoding: 'binary' })))));
+});
+
+test('parse accepts a Buffer holding text', () => {
+    const image = parse(Buffer.from(serialize(sampleImage())));
+    assert.equal(image.getPixel(1, 1), 7);
+});
+
+test('parse accepts a Uint8Array or an ArrayBuffer', () => {
+    for (const encoding of ['text', 'binary']) {
+        const data = Buffer.from(serialize(sampleImage(), { encoding }));
+        // A plain Uint8Array that starts inside a larger buffer, as fetch or a file reader may hand over
+        const bytes = new Uint8Array(data.length + 2);
+        bytes.set(data, 2);
+        const view = bytes.subarray(2);
+        assert.equal(parse(view).getPixel(1, 1), 7);
+        assert.equal(parse(view).encoding, encoding);
+        assert.equal(parse(view.slice().buffer).getPixel(3, 2), 15);
+    }
+});
+
+test('parse rejects other kinds of data', () => {
+    for (const data of [undefined, 42, { width: 4 }]) {
+        assert.throws(() => parse(data), error => {
+            assert.ok(error instanceof EHEXParseError);
+            assert.match(error.message, /string, Buffer, Uint8Array or ArrayBuffer/);
+            return true;
+        });
+    }
+});
+
+test('version 2 drops the colors', () => {
+    const image = parse(serialize(sampleImage(), { version: 2 }));
+    assert.equal(image.version, 2);
+    assert.deepEqual(image.getCell(2, 0), { char: 0, fg: -1, bg: -1 });
+});
+
+test('frame delays are whole milliseconds', () => {
+    const image = sampleImage();
+    image.addFrame();
+    image.setFrameDelay(1, 250);
+    assert.deepEqual(parse(serialize(image)).frames.map(frame => frame.delay), [100, 250]);
+
+    for (const delay of [1.5, 0, -100, NaN, '100']) {
+        assert.throws(() => image.setFrameDelay(1, delay), /positive whole number/);
+    }
+    assert.equal(image.frames[1].delay, 250);
+});
+
+test('the legacy v1 layout is upgraded', () => {
+    const image = parse('EHEX\n4 2\n0000\n0700\n');
+    assert.equal(image.upgradedFrom, 1);
+    assert.equal(image.getPixel(1, 1), 7);
+});
+
+test('strict parsing throws every problem at once', () => {
+    assert.throws(() => parse('EHEX2\nbad'), error => {
+        assert.ok(error instanceof EHEXParseError);
+        assert.equal(error.diagnostics.length, 3);
+        assert.deepEqual(error.diagnostics[0], { line: 2, column: 1, message: 'Unexpected line "bad"' });
+        return true;
+    });
+});
+
+test('lenient parsing repairs and reports warnings', () => {
+    const damaged = serialize(sampleImage(), { version: 2 }).replace('0700', '0Z00');
+    assert.throws(() => parse(damaged), EHEXParseError);
+
+    const image = parse(damaged, { lenient: true });
+    assert.deepEqual(image.warnings, [{ line: 7, column: 2, message: 'Bad pixel digit "Z"' }]);
+    assert.equal(image.getPixel(1, 1), 0);
+});
+
+test('a damaged binary file fails its checksum', () => {
+    const data = serialize(sampleImage(), { encoding: 'binary' });
+    data[data.length - 1] ^= 0xFF;
+    assert.throws(() => parse(data), /Checksum mismatch/);
+    assert.equal(parse(data, { lenient: true }).warnings.length, 1);
+});
+
+test('clone is a deep copy', () => {
+    const image = parse(serialize(sampleImage(), { encoding: 'rle' }));
+    const copy = clone(image);
+    assert.notEqual(copy, image);
+    assert.equal(copy.encoding, 'rle');
+    assert.equal(serialize(copy), serialize(image));
+
+    copy.setPixel(0, 0, 9);
+    copy.setMetadata('title', 'Changed');
+    assert.equal(image.getPixel(0, 0), 0);
+    assert.equal(image.metadata.title, 'Sample');
+});
+
+test('update changes a copy and leaves the original alone', () => {
+    const image = sampleImage();
+    const before = serialize(image);
+    const resized = update(image, copy => copy.resize(8, 6));
+
+    assert.equal(resized.width, 8);
+    assert.equal(resized.getPixel(1, 1), 7);
+    assert.equal(serialize(image), before);
+});
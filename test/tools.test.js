@@ -0,0 +1,47 @@
+// tools.test.js - The cell sets painted by the editor's tools
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EHEXImage } = require('../source/image.js');
+const { linePoints, rectPoints, brushPoints, sprayChar, symmetryPoints, floodFillPoints } = require('../source/tools.js');
+
+const sorted = points => points.map(point => `${point.x},${point.y}`).sort();
+
+test('lines include both ends', () => {
+    assert.deepEqual(linePoints(0, 0, 3, 1), [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 1 }, { x: 3, y: 1 }]);
+    assert.deepEqual(linePoints(2, 2, 2, 2), [{ x: 2, y: 2 }]);
+});
+
+test('rectangles are outlined or filled', () => {
+    assert.equal(rectPoints(0, 0, 2, 2).length, 8);
+    assert.equal(rectPoints(2, 2, 0, 0, true).length, 9);
+});
+
+test('brushes are centered on the cursor', () => {
+    assert.deepEqual(sorted(brushPoints('square', 1, 5, 5)), ['5,5']);
+    assert.deepEqual(sorted(brushPoints('square', 3, 5, 5)), sorted(rectPoints(4, 4, 6, 6, true)));
+    assert.equal(brushPoints('diamond', 3, 5, 5).length, 5);
+});
+
+test('spray chars stay next to the current one', () => {
+    assert.equal(sprayChar(5, 16, () => 0), 4);
+    assert.equal(sprayChar(5, 16, () => 0.99), 6);
+    assert.equal(sprayChar(15, 16, () => 0.99), 15);
+    assert.equal(sprayChar(1, 16, () => 0), 1);
+});
+
+test('mirrors reflect around the center', () => {
+    const center = { x: 4.5, y: 4.5 };
+    assert.deepEqual(sorted(symmetryPoints('off', 1, 2, center)), ['1,2']);
+    assert.deepEqual(sorted(symmetryPoints('horizontal', 1, 2, center)), ['1,2', '8,2']);
+    assert.deepEqual(sorted(symmetryPoints('both', 1, 2, center)), ['1,2', '1,7', '8,2', '8,7']);
+    assert.equal(symmetryPoints('radial4', 1, 2, center).length, 4);
+});
+
+test('flood fill follows 4-way or 8-way connectivity', () => {
+    const image = new EHEXImage(3, 3);
+    image.setPixel(1, 0, 7);
+    image.setPixel(0, 1, 7);
+    assert.equal(floodFillPoints(image, 0, 0).length, 1);
+    assert.equal(floodFillPoints(image, 2, 2).length, 6);
+    assert.equal(floodFillPoints(image, 2, 2, 8).length, 7);
+});
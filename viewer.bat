@@ -13,8 +13,8 @@ if "%~1"=="" (
     echo Starting viewer...
     node source/viewer.js
 ) else (
-    echo Opening file: %~1
-    node source/viewer.js "%~1"
+    echo Opening: %*
+    node source/viewer.js %*
 )
 
 pause
\ No newline at end of file